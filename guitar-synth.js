@@ -0,0 +1,208 @@
+// guitar-synth.js
+// Plucked-string synthesis shared by the scale and note finder pages
+// - Karplus–Strong: a noise burst circulates in a tuned delay line and is
+//   filtered a little on every pass, so the note decays like a real string
+// - Rendered in JS into AudioBuffers, no samples to download
+// - Tone (timbre, string gauge, brightness) is persisted in localStorage
+
+const GuitarSynth = (() => {
+  const TONE_STORAGE_KEY = "guitarTone";
+
+  // brightness: starting brightness, 0..1
+  // sustain: seconds to fall 60 dB on an open low E, higher notes die sooner
+  // pluckPosition: fraction of the string length from the bridge
+  // body: low-pass cutoff in Hz, the guitar body softening the top end
+  const TIMBRES = {
+    steel: { label: "Steel acoustic", brightness: 0.7, sustain: 3.2, pluckPosition: 0.13, body: 6500 },
+    nylon: { label: "Nylon classical", brightness: 0.45, sustain: 2.4, pluckPosition: 0.2, body: 3800 },
+    electric: { label: "Electric clean", brightness: 0.6, sustain: 4.5, pluckPosition: 0.08, body: 5000 },
+  };
+
+  // Heavier strings ring longer and sound darker
+  const GAUGES = {
+    light: { label: "Light", sustain: 0.8, brightness: 0.1 },
+    medium: { label: "Medium", sustain: 1, brightness: 0 },
+    heavy: { label: "Heavy", sustain: 1.25, brightness: -0.1 },
+  };
+
+  const RELEASE_SEC = 0.08;
+  const MAX_CACHED_BUFFERS = 64;
+
+  let tone = { timbre: "steel", gauge: "medium", brightness: TIMBRES.steel.brightness };
+  const bufferCache = new Map();
+  const bodyFilters = new WeakMap();
+
+  function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+  }
+
+  function loadTone() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(TONE_STORAGE_KEY) || "null");
+      if (saved) setTone(saved, false);
+    } catch (e) {}
+  }
+
+  function saveTone() {
+    try {
+      localStorage.setItem(TONE_STORAGE_KEY, JSON.stringify(tone));
+    } catch (e) {}
+  }
+
+  // Partial updates are merged; picking a timbre resets brightness to its default
+  function setTone(next, persist = true) {
+    const timbre = TIMBRES[next.timbre] ? next.timbre : tone.timbre;
+    const gauge = GAUGES[next.gauge] ? next.gauge : tone.gauge;
+    let brightness = Number.isFinite(next.brightness) ? clamp01(next.brightness) : tone.brightness;
+    if (next.timbre && next.timbre !== tone.timbre && !Number.isFinite(next.brightness)) {
+      brightness = TIMBRES[timbre].brightness;
+    }
+    tone = { timbre, gauge, brightness };
+    if (persist) saveTone();
+  }
+
+  function getTone() {
+    return { ...tone };
+  }
+
+  // One output filter per AudioContext, standing in for the guitar body
+  function bodyFor(ctx) {
+    let body = bodyFilters.get(ctx);
+    if (!body) {
+      body = ctx.createBiquadFilter();
+      body.type = "lowpass";
+      body.Q.value = 0.5;
+      body.connect(ctx.destination);
+      bodyFilters.set(ctx, body);
+    }
+    body.frequency.value = TIMBRES[tone.timbre].body;
+    return body;
+  }
+
+  // Samples of one plucked note. The loop filter blends each sample with the
+  // one before it (weight set by brightness), and an all-pass filter supplies
+  // the fraction of a sample the delay line can't, so high notes stay in tune.
+  function renderPluck(sampleRate, freq, seconds) {
+    const timbre = TIMBRES[tone.timbre];
+    const gauge = GAUGES[tone.gauge];
+    const brightness = clamp01(tone.brightness + gauge.brightness);
+
+    const blend = 0.5 - 0.42 * brightness; // 0.5 is the classic average, darkest
+    const period = sampleRate / freq - blend;
+    let delay = Math.floor(period);
+    let frac = period - delay;
+    if (frac < 0.2) {
+      delay -= 1;
+      frac += 1;
+    }
+    const allpass = (1 - frac) / (1 + frac);
+
+    // Loss per pass so the note falls 60 dB over its sustain time
+    const sustain = timbre.sustain * gauge.sustain * Math.pow(82.4 / freq, 0.35);
+    const loss = Math.pow(10, -3 / (sustain * freq));
+
+    // Excitation: softened noise with a notch comb at the pluck position
+    const line = new Float32Array(delay);
+    const soften = 0.15 + 0.85 * brightness;
+    let smoothed = 0;
+    for (let i = 0; i < delay; i++) {
+      smoothed += ((Math.random() * 2 - 1) - smoothed) * soften;
+      line[i] = smoothed;
+    }
+    const pluckOffset = Math.max(1, Math.round(delay * timbre.pluckPosition));
+    const excitation = line.map((v, i) => v - (i >= pluckOffset ? line[i - pluckOffset] : 0));
+    let mean = 0;
+    excitation.forEach(v => { mean += v / delay; });
+    excitation.forEach((v, i) => { line[i] = v - mean; });
+
+    const length = Math.max(1, Math.floor(sampleRate * seconds));
+    const out = new Float32Array(length);
+    let index = 0;
+    let previous = 0;
+    let apIn = 0;
+    let apOut = 0;
+    let peak = 0;
+    for (let i = 0; i < length; i++) {
+      const current = line[index];
+      const filtered = loss * ((1 - blend) * current + blend * previous);
+      previous = current;
+      apOut = allpass * filtered + apIn - allpass * apOut;
+      apIn = filtered;
+      line[index] = apOut;
+      index = (index + 1) % delay;
+      out[i] = current;
+      peak = Math.max(peak, Math.abs(current));
+    }
+    if (peak > 0) out.forEach((v, i) => { out[i] = v / peak; });
+    return out;
+  }
+
+  // Buffers are cached per pitch, tone and length; short notes get short buffers
+  function bufferFor(ctx, midi, seconds) {
+    const length = Math.ceil(seconds * 4) / 4;
+    const key = [ctx.sampleRate, midi, tone.timbre, tone.gauge, tone.brightness.toFixed(2), length].join("|");
+    let buffer = bufferCache.get(key);
+    if (buffer) {
+      // Refresh its place so the least recently used buffer is dropped first
+      bufferCache.delete(key);
+      bufferCache.set(key, buffer);
+      return buffer;
+    }
+
+    const samples = renderPluck(ctx.sampleRate, midiToFrequency(midi), length);
+    buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+    buffer.getChannelData(0).set(samples);
+    bufferCache.set(key, buffer);
+    if (bufferCache.size > MAX_CACHED_BUFFERS) bufferCache.delete(bufferCache.keys().next().value);
+    return buffer;
+  }
+
+  // Plucks midi at `when` (audio clock seconds). duration: seconds before the
+  // note is damped, or null to let it ring out. Returns { stop(at) }.
+  function pluck(ctx, midi, when, duration = null, velocity = 0.8) {
+    const timbre = TIMBRES[tone.timbre];
+    const ring = timbre.sustain * GAUGES[tone.gauge].sustain;
+    const seconds = duration === null ? ring : Math.min(ring, duration + RELEASE_SEC);
+
+    const source = ctx.createBufferSource();
+    source.buffer = bufferFor(ctx, midi, seconds);
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0.45 * velocity, when);
+    if (duration !== null) {
+      gain.gain.setValueAtTime(0.45 * velocity, when + duration);
+      gain.gain.linearRampToValueAtTime(0, when + duration + RELEASE_SEC);
+    }
+
+    source.connect(gain);
+    gain.connect(bodyFor(ctx));
+    source.start(when);
+    source.stop(when + seconds + RELEASE_SEC);
+
+    return {
+      source,
+      stop(at = ctx.currentTime) {
+        try {
+          gain.gain.cancelScheduledValues(at);
+          gain.gain.setValueAtTime(gain.gain.value, at);
+          gain.gain.linearRampToValueAtTime(0, at + RELEASE_SEC);
+          source.stop(at + RELEASE_SEC);
+        } catch (e) {}
+      },
+    };
+  }
+
+  loadTone();
+
+  return {
+    TIMBRES,
+    GAUGES,
+    pluck,
+    setTone,
+    getTone,
+  };
+})();
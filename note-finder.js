@@ -41,10 +41,6 @@ function noteNameFromMidi(midi) {
   return { name: PC_NAMES_SHARP[pc], octave };
 }
 
-function midiToFrequency(midi) {
-  return 440 * Math.pow(2, (midi - 69) / 12);
-}
-
 function midiToVexKey(midi) {
   const { name, octave } = noteNameFromMidi(midi);
   return `${name.toLowerCase()}/${octave}`;
@@ -81,53 +77,89 @@ function formatChordHeader() {
 // ---------------------------
 
 const AudioEngine = (() => {
+  // Repeats are queued on the audio clock a little ahead, as on the scales page
+  const LOOKAHEAD_MS = 25;
+  const SCHEDULE_AHEAD_SEC = 0.1;
+
   let audioCtx = null;
-  let gainNode = null;
-  let oscillators = [];
+  let voices = [];
+  let repeatTimer = null;
+  let repeating = null; // { midis, opts, nextTime, count } while repeat-strumming
 
   function ensureAudioContext() {
     if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    if (audioCtx.state === "suspended") audioCtx.resume();
     return audioCtx;
   }
 
   function stopAll() {
+    if (repeatTimer) clearTimeout(repeatTimer);
+    repeatTimer = null;
+    repeating = null;
     if (!audioCtx) return;
     const now = audioCtx.currentTime;
+    voices.forEach((voice) => voice.stop(now));
+    voices = [];
+  }
 
-    if (gainNode) {
-      gainNode.gain.cancelScheduledValues(now);
-      gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-      gainNode.gain.linearRampToValueAtTime(0, now + 0.06);
-    }
+  // One strum of plucked strings (guitar-synth.js) from `when`, damping whatever
+  // still rings. Down strums go low to high; an arpeggio plays a string per eighth note.
+  function scheduleStrum(midis, when, opts, up) {
+    const ctx = ensureAudioContext();
+    const ordered = up ? [...midis].reverse() : midis;
+    const step = strumStep(midis, opts);
+    voices.forEach((voice) => voice.stop(when));
+    voices = ordered.map((m, i) => GuitarSynth.pluck(ctx, m, when + i * step, null, up ? 0.65 : 0.8));
+  }
 
-    oscillators.forEach((osc) => {
-      try { osc.stop(now + 0.07); } catch (_) {}
-    });
+  // Seconds between repeats: a beat per strum (an eighth for down-up), or an eighth per string
+  function repeatInterval(midis, opts) {
+    if (opts.arpeggiate) return midis.length * 30 / opts.bpm;
+    return opts.direction === "downup" ? 30 / opts.bpm : 60 / opts.bpm;
+  }
 
-    oscillators = [];
-    gainNode = null;
+  // Seconds between strings; a repeating strum fits its strings inside the repeat,
+  // so the next strum never damps strings that have not sounded yet
+  function strumStep(midis, opts) {
+    if (opts.arpeggiate) return 30 / opts.bpm;
+    const spread = opts.spreadMs / 1000;
+    return opts.repeat ? Math.min(spread, repeatInterval(midis, opts) / midis.length) : spread;
   }
 
-  function playChord(midis) {
+  function scheduler() {
+    if (!repeating) return;
+    while (repeating.nextTime < audioCtx.currentTime + SCHEDULE_AHEAD_SEC) {
+      const { midis, opts, count } = repeating;
+      const up = opts.direction === "up" || (opts.direction === "downup" && count % 2 === 1);
+      scheduleStrum(midis, repeating.nextTime, opts, up);
+      repeating.nextTime += repeatInterval(midis, opts);
+      repeating.count++;
+    }
+    repeatTimer = setTimeout(scheduler, LOOKAHEAD_MS);
+  }
+
+  // opts: { direction: "down" | "up" | "downup", spreadMs, arpeggiate, repeat, bpm }
+  // A single strum rings out and calls onEnd once the last string has died away;
+  // a repeating one runs until stopAll.
+  function playChord(midis, opts, onEnd = null) {
     stopAll();
     if (!midis || midis.length === 0) return;
 
     const ctx = ensureAudioContext();
-    const now = ctx.currentTime;
-
-    gainNode = ctx.createGain();
-    gainNode.gain.setValueAtTime(0, now);
-    gainNode.gain.linearRampToValueAtTime(0.28, now + 0.05);
-    gainNode.connect(ctx.destination);
-
-    oscillators = midis.map((m) => {
-      const osc = ctx.createOscillator();
-      osc.type = "sine";
-      osc.frequency.setValueAtTime(midiToFrequency(m), now);
-      osc.connect(gainNode);
-      osc.start(now);
-      return osc;
-    });
+    const start = ctx.currentTime + 0.02;
+    if (opts.repeat) {
+      repeating = { midis, opts, nextTime: start, count: 0 };
+      scheduler();
+      return;
+    }
+
+    scheduleStrum(midis, start, opts, opts.direction === "up");
+    const last = voices[voices.length - 1];
+    last.source.onended = () => {
+      if (!voices.includes(last)) return; // stopped or replaced
+      voices = [];
+      if (onEnd) onEnd();
+    };
   }
 
   return { playChord, stopAll };
@@ -154,10 +186,33 @@ function startPlayback() {
   if (midis.length === 0) return;
 
   isPlaying = true;
-  AudioEngine.playChord(midis);
+  AudioEngine.playChord(midis, readStrumOptions(), () => {
+    isPlaying = false;
+    updatePlayButton(false);
+  });
   updatePlayButton(true);
 }
 
+function readStrumOptions() {
+  const value = (id, fallback) => {
+    const el = document.getElementById(id);
+    return el ? el.value : fallback;
+  };
+  const checked = (id) => {
+    const el = document.getElementById(id);
+    return !!(el && el.checked);
+  };
+  const bpm = parseInt(value("strumBpmInput", "80"), 10);
+
+  return {
+    direction: value("strumSelect", "down"),
+    spreadMs: Number(value("spreadInput", "25")),
+    arpeggiate: checked("arpeggiateToggle"),
+    repeat: checked("repeatToggle"),
+    bpm: clamp(Number.isFinite(bpm) ? bpm : 80, 30, 240),
+  };
+}
+
 function buildAllStringDisplayHTML() {
   // Always show all 6 strings (1..6).
   // If a string has no selected note, show X.
@@ -705,5 +760,25 @@ window.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // Down-up alternates between repeats, so it needs Repeat on
+  const strumSelect = document.getElementById("strumSelect");
+  const repeatToggle = document.getElementById("repeatToggle");
+  const syncDownUp = () => {
+    const downUp = strumSelect && strumSelect.querySelector('option[value="downup"]');
+    if (!downUp || !repeatToggle) return;
+    downUp.disabled = !repeatToggle.checked;
+    if (downUp.disabled && strumSelect.value === "downup") strumSelect.value = "down";
+  };
+  syncDownUp();
+  if (repeatToggle) repeatToggle.addEventListener("change", syncDownUp);
+
+  // Strum settings apply straight away while playing
+  ["strumSelect", "spreadInput", "arpeggiateToggle", "repeatToggle", "strumBpmInput"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", () => {
+      if (isPlaying) startPlayback();
+    });
+  });
+
   renderFretboard();
 });
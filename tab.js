@@ -1,7 +1,8 @@
 // Minimal browser-based guitar scale rendering with VexFlow (UMD)
 // - No frameworks, no build tools
-// - Minor Pentatonic renders all 5 boxes, ordered low to high on the neck
+// - Pentatonic scales render all 5 boxes, ordered low to high on the neck
 // - Other scales render a true 2-octave run (exact pitches) up then down
+// - Diagonal runs cover 2 or 3 octaves, with slides marking position shifts
 // - Data objects: { string, fret, isRoot }
 
 const VF = (window.VexFlow && window.VexFlow.Flow) || (window.Vex && window.Vex.Flow);
@@ -9,9 +10,19 @@ if (!VF) {
   throw new Error("VexFlow UMD not available. Ensure vexflow.js loads before tab.js.");
 }
 
-// Global state for root note toggle
+// Global state for root note toggle and note labels ("none" | "name" | "degree" | "interval")
 let showRootNotes = true;
-let showNoteNames = false;
+let noteLabelMode = "none";
+let showFingering = false;
+
+// Rhythm used by notation and playback, a key of SUBDIVISIONS
+let currentSubdivision = "quarter";
+
+// Picking strategy marked on the tab, one of PICKING_MODES
+let currentPicking = "none";
+
+// Scroll the playing note into view
+let followPlayback = false;
 
 const {
   Formatter,
@@ -23,20 +34,73 @@ const {
   StaveNote,
   StaveConnector,
   Accidental,
-  Annotation
+  Annotation,
+  TabSlide,
+  BarNote,
+  GhostNote,
+  Beam,
+  Tuplet,
+  FretHandFinger,
+  Modifier,
+  Articulation,
+  TabTie
 } = VF;
 
 // ---------------------------
 // Constants
 // ---------------------------
 
-const STRING_OPEN_MIDI = { 6: 40, 5: 45, 4: 50, 3: 55, 2: 59, 1: 64 }; // E2 A2 D3 G3 B3 E4
-
 const PC_NAMES_SHARP = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
-const PC_TO_INDEX = Object.fromEntries(PC_NAMES_SHARP.map((n, i) => [n, i]));
-
-const KEY_TO_SEMITONE_FROM_E = {
-  C: 8, "C#": 9, D: 10, "D#": 11, E: 0, F: 1, "F#": 2, G: 3, "G#": 4, A: 5, "A#": 6, B: 7
+const PC_NAMES_FLAT = ["C","Db","D","Eb","E","F","Gb","G","Ab","A","Bb","B"];
+const PC_TO_INDEX = Object.fromEntries([
+  ...PC_NAMES_FLAT.map((n, i) => [n, i]),
+  ...PC_NAMES_SHARP.map((n, i) => [n, i]),
+]);
+const LETTER_TO_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Open string pitches per instrument, listed low string to high string.
+// The first tuning of each instrument is its standard tuning.
+// - clef: "grand" draws treble + bass staves, "bass" a single bass staff (written an octave up)
+const INSTRUMENTS = {
+  "Guitar": {
+    clef: "grand",
+    tunings: {
+      "Standard": ["E2","A2","D3","G3","B3","E4"],
+      "Eb Standard": ["Eb2","Ab2","Db3","Gb3","Bb3","Eb4"],
+      "Drop D": ["D2","A2","D3","G3","B3","E4"],
+      "DADGAD": ["D2","A2","D3","G3","A3","D4"],
+      "Open G": ["D2","G2","D3","G3","B3","D4"],
+    },
+  },
+  "7-String Guitar": {
+    clef: "grand",
+    tunings: {
+      "Standard": ["B1","E2","A2","D3","G3","B3","E4"],
+      "Drop A": ["A1","E2","A2","D3","G3","B3","E4"],
+    },
+  },
+  "8-String Guitar": {
+    clef: "grand",
+    tunings: {
+      "Standard": ["F#1","B1","E2","A2","D3","G3","B3","E4"],
+      "Drop E": ["E1","B1","E2","A2","D3","G3","B3","E4"],
+    },
+  },
+  "Bass (4-string)": {
+    clef: "bass",
+    tunings: {
+      "Standard": ["E1","A1","D2","G2"],
+      "Eb Standard": ["Eb1","Ab1","Db2","Gb2"],
+      "Drop D": ["D1","A1","D2","G2"],
+    },
+  },
+  "Bass (5-string)": {
+    clef: "bass",
+    tunings: {
+      "Standard": ["B0","E1","A1","D2","G2"],
+      "Drop A": ["A0","E1","A1","D2","G2"],
+    },
+  },
 };
 
 const SCALE_DEFINITIONS = {
@@ -65,73 +129,137 @@ const SCALE_DEFINITIONS = {
   "Gypsy Major": [0,2,3,6,7,8,10],
 };
 
-// Minor pentatonic box templates (2 notes per string pattern, relative to a "position root")
-const MIN_PENT_BOX_TEMPLATES = [
-  { id: 1, frets: { 6:[0,3], 5:[0,2], 4:[0,2], 3:[0,2], 2:[0,3], 1:[0,3] } },
-  { id: 2, frets: { 6:[3,5], 5:[2,5], 4:[2,5], 3:[2,5], 2:[3,5], 1:[3,5] } },
-  { id: 3, frets: { 6:[5,7], 5:[5,7], 4:[5,7], 3:[5,7], 2:[5,8], 1:[5,8] } },
-  { id: 4, frets: { 6:[7,10], 5:[7,10], 4:[7,9], 3:[7,9], 2:[8,10], 1:[8,10] } },
-  { id: 5, frets: { 6:[10,12], 5:[9,12], 4:[9,12], 3:[9,12], 2:[10,12], 1:[10,12] } },
-];
+// ---------------------------
+// Instrument & tuning
+// ---------------------------
+
+// Parses "E", "Eb", "F#3" etc. Without an octave, picks the octave closest to nearMidi.
+function noteNameToMidi(name, nearMidi) {
+  const m = /^([A-Ga-g])(#{1,2}|b{1,2})?(-?\d)?$/.exec(String(name).trim());
+  if (!m) return null;
+
+  const acc = !m[2] ? 0 : (m[2][0] === "#" ? m[2].length : -m[2].length);
+  const base = LETTER_TO_PC[m[1].toUpperCase()] + acc;
+  if (m[3] !== undefined) return (parseInt(m[3], 10) + 1) * 12 + base;
+
+  const pc = ((base % 12) + 12) % 12;
+  let midi = nearMidi - (((nearMidi - pc) % 12) + 12) % 12; // at or below nearMidi
+  if (nearMidi - midi > 6) midi += 12;
+  return midi;
+}
+
+function tuningToOpenMidi(noteNames, reference = null) {
+  const openMidi = {};
+  const count = noteNames.length;
+  for (let i = 0; i < count; i++) {
+    const string = count - i; // first entry is the lowest string
+    const near = reference ? reference[string] : 60;
+    const midi = noteNameToMidi(noteNames[i], near);
+    if (midi === null) return null;
+    openMidi[string] = midi;
+  }
+  return openMidi;
+}
+
+function standardTuningNames(instrument) {
+  return Object.values(instrument.tunings)[0];
+}
+
+// Active instrument and tuning, set from the instrument/tuning controls on each render
+let currentInstrument = INSTRUMENTS["Guitar"];
+let stringCount = 6;
+let standardOpenMidi = tuningToOpenMidi(standardTuningNames(currentInstrument)); // E2 A2 D3 G3 B3 E4
+let stringOpenMidi = { ...standardOpenMidi };
+
+function parseCustomTuning(text) {
+  const names = String(text || "").trim().split(/[\s,]+/).filter(Boolean);
+  if (names.length !== stringCount) {
+    const example = standardTuningNames(currentInstrument).map(n => n.replace(/\d/g, "")).join(" ");
+    return { error: `Enter ${stringCount} note names, low string first (e.g. ${example}).` };
+  }
+  const openMidi = tuningToOpenMidi(names, standardOpenMidi);
+  if (!openMidi) {
+    return { error: "Unrecognised note name. Use letters A–G with optional # or b (e.g. Eb, F#)." };
+  }
+  return { openMidi, label: names.join(" ") };
+}
 
 // ---------------------------
 // Helpers
 // ---------------------------
 
-function clampFret(f) { return Math.max(0, Math.min(24, f)); }
+// Fret shift that keeps standard-tuning shapes at the same pitches when the gaps
+// between strings differ from the instrument's standard tuning (0 on the lowest string)
+function tuningFretCorrection(string) {
+  const standardGap = standardOpenMidi[string] - standardOpenMidi[stringCount];
+  const tunedGap = stringOpenMidi[string] - stringOpenMidi[stringCount];
+  return standardGap - tunedGap;
+}
 
-function midiToPcName(midi) {
-  return PC_NAMES_SHARP[((midi % 12) + 12) % 12];
+function midiToPc(midi) {
+  return ((midi % 12) + 12) % 12;
 }
 
 function isRootForKey(string, fret, keyName) {
-  const midi = STRING_OPEN_MIDI[string] + fret;
-  return midiToPcName(midi) === keyName;
+  const midi = stringOpenMidi[string] + fret;
+  return midiToPc(midi) === PC_TO_INDEX[keyName];
 }
 
-function pickLowERootFret(keyName) {
-  const base = KEY_TO_SEMITONE_FROM_E[keyName];
-  if (base === undefined) throw new Error("Unknown key: " + keyName);
-  return base % 12;
+// Lowest fret of the key's root on the given string in the active tuning
+function rootFretOnString(keyName, string) {
+  const pc = PC_TO_INDEX[keyName];
+  if (pc === undefined) throw new Error("Unknown key: " + keyName);
+  return (((pc - stringOpenMidi[string]) % 12) + 12) % 12;
 }
 
-function midiToVexKeySharp(midi) {
-  const pcs = ["c","c#","d","d#","e","f","f#","g","g#","a","a#","b"];
-  const pc = ((midi % 12) + 12) % 12;
-  const octave = Math.floor(midi / 12) - 1; // MIDI 60 => C4
-  return pcs[pc] + "/" + octave;
+// Lowest fret of the key's root on the lowest string
+function pickLowERootFret(keyName) {
+  return rootFretOnString(keyName, stringCount);
 }
 
-function addAccidentalsIfNeeded(staveNote) {
-  if (!staveNote.keys) return;
-  staveNote.keys.forEach((key, idx) => {
-    if (key.includes("#")) staveNote.addModifier(new Accidental("#"), idx);
-    if (key.includes("b")) staveNote.addModifier(new Accidental("b"), idx);
-  });
+function noteNameFromNoteData(n) {
+  const midi = stringOpenMidi[n.string] + n.fret;
+  return spellMidi(midi).name;
 }
 
-function noteNameFromNoteData(n) {
-  const midi = STRING_OPEN_MIDI[n.string] + n.fret;
-  return midiToPcName(midi);
+// Label for the current label mode, or null when labels are off
+function noteLabelFromNoteData(n) {
+  if (noteLabelMode === "name") return noteNameFromNoteData(n);
+  if (noteLabelMode !== "degree" && noteLabelMode !== "interval") return null;
+
+  const midi = stringOpenMidi[n.string] + n.fret;
+  const degree = degreeForMidi(midi);
+  if (!degree) return null;
+  return noteLabelMode === "degree" ? degree : intervalNameForDegree(degree);
 }
 
-function alignAnnotationRow(containerEl, fixedY) {
+// Lines up annotations drawn since the last call, so each system gets its own row.
+// Given a list of Annotations, only those move (a second row, such as fingering).
+function alignAnnotationRow(containerEl, fixedY, annotations = null) {
   const svg = containerEl.querySelector("svg");
   if (!svg) return;
 
   const selectors = ["text.vf-annotation", "g.vf-annotation text", "text.vf-annotation-text"];
-  selectors.forEach(sel => {
-    svg.querySelectorAll(sel).forEach(el => {
-      el.removeAttribute("transform");
-      el.setAttribute("y", fixedY);
-    });
+  const elements = annotations
+    ? annotations.map(a => svg.querySelector(`#vf-${a.getAttribute("id")} text`)).filter(Boolean)
+    : selectors.flatMap(sel => [...svg.querySelectorAll(sel)]);
+  elements.forEach(el => {
+    if (el.hasAttribute("data-aligned")) return;
+    el.removeAttribute("transform");
+    el.setAttribute("y", fixedY);
+    el.setAttribute("data-aligned", "");
   });
 }
 
+// Set while printing: the page is narrower than the screen layout being measured
+let printRenderWidth = null;
+const PRINT_RENDER_WIDTH = 720;
+
 function getRenderWidth(containerEl, min = 320, max = 1400) {
   const rect = containerEl?.getBoundingClientRect?.();
   const measured = rect?.width || containerEl?.clientWidth || 860;
-  return Math.max(min, Math.min(max, Math.floor(measured)));
+  const limit = printRenderWidth ? Math.min(max, printRenderWidth) : max;
+  return Math.max(min, Math.min(limit, Math.floor(measured)));
 }
 
 function createResponsiveRenderer(containerEl, height) {
@@ -151,6 +279,11 @@ function createResponsiveRenderer(containerEl, height) {
   return { renderer, ctx, width, height };
 }
 
+// Room left for notes once clef, key and time signature are drawn
+function noteAreaWidth(stave) {
+  return Math.max(80, stave.getNoteEndX() - stave.getNoteStartX() - 10);
+}
+
 function debounce(fn, wait = 200) {
   let t;
   return (...args) => {
@@ -160,26 +293,310 @@ function debounce(fn, wait = 200) {
 }
 
 // ---------------------------
-// Scale pitch generation (exact MIDI, 2 octaves)
+// Spelling & key signatures
+// ---------------------------
+
+const LETTERS = ["C","D","E","F","G","A","B"];
+const MAJOR_DEGREE_SEMITONES = [0, 2, 4, 5, 7, 9, 11]; // degrees 1..7
+const MAJOR_SCALE_DEGREES = ["1","2","3","4","5","6","7"];
+
+// Degree names the speller may use for each interval (index = semitones), most common first
+const DEGREE_CHOICES = [
+  ["1"], ["b2","#1"], ["2","bb3"], ["b3","#2"], ["3","b4"], ["4","#3"],
+  ["b5","#4"], ["5"], ["b6","#5"], ["6","bb7"], ["b7","#6"], ["7"],
+];
+
+// Major keys VexFlow can draw a signature for
+const MAJOR_KEY_SIGNATURES = ["C","G","D","A","E","B","F#","C#","F","Bb","Eb","Ab","Db","Gb","Cb"];
+
+const ACCIDENTAL_GLYPHS = { "-2": "bb", "-1": "b", "0": "n", "1": "#", "2": "##" };
+
+function accidentalText(alter) {
+  return alter > 0 ? "#".repeat(alter) : "b".repeat(-alter);
+}
+
+// "b3" => { number: 3, alter: -1, semitones: 3 }
+function parseDegree(degree) {
+  const m = /^(#{1,2}|b{1,2})?([1-7])$/.exec(String(degree).trim());
+  if (!m) return null;
+  const alter = !m[1] ? 0 : (m[1][0] === "#" ? m[1].length : -m[1].length);
+  const number = parseInt(m[2], 10);
+  const semitones = (((MAJOR_DEGREE_SEMITONES[number - 1] + alter) % 12) + 12) % 12;
+  return { number, alter, semitones };
+}
+
+function degreeChoiceCost(degree, index) {
+  if (index === 0) return 0;
+  const { number, alter } = parseDegree(degree);
+  if (Math.abs(alter) === 2) return 2.5;
+  if ((number === 3 && alter > 0) || (number === 4 && alter < 0)) return 4; // E#/Fb style
+  return 1;
+}
+
+// Picks one degree name per interval so letters ascend through the scale, preferring
+// common names and avoiding repeated letters ([0,3,5,6,7,10] => 1 b3 4 b5 5 b7)
+function scaleDegreeNames(intervals) {
+  const REPEAT_LETTER_COST = 3;
+  let best = new Map([[0, { cost: 0, names: [] }]]); // keyed by last degree number used
+
+  for (const iv of intervals) {
+    const next = new Map();
+    DEGREE_CHOICES[iv].forEach((degree, idx) => {
+      const { number } = parseDegree(degree);
+      best.forEach((prev, lastNumber) => {
+        if (number < lastNumber) return;
+        const cost = prev.cost + degreeChoiceCost(degree, idx) + (number === lastNumber ? REPEAT_LETTER_COST : 0);
+        const cur = next.get(number);
+        if (!cur || cost < cur.cost) next.set(number, { cost, names: [...prev.names, degree] });
+      });
+    });
+    best = next;
+  }
+
+  let result = null;
+  best.forEach(v => { if (!result || v.cost < result.cost) result = v; });
+  return result ? result.names : [];
+}
+
+function spellPcPlain(pc, preferFlats) {
+  const name = (preferFlats ? PC_NAMES_FLAT : PC_NAMES_SHARP)[pc];
+  return { letter: name[0], alter: name.length > 1 ? (name[1] === "#" ? 1 : -1) : 0, pc, name };
+}
+
+function spellDegree(keyName, degree) {
+  const { number, semitones } = parseDegree(degree);
+  const tonicLetter = LETTERS.indexOf(keyName[0]);
+  const letter = LETTERS[(tonicLetter + number - 1) % 7];
+  const pc = (PC_TO_INDEX[keyName] + semitones) % 12;
+  const alter = ((((pc - LETTER_TO_PC[letter]) % 12) + 18) % 12) - 6;
+
+  if (Math.abs(alter) > 2) return spellPcPlain(pc, keyName.includes("b"));
+  return { letter, alter, pc, name: letter + accidentalText(alter) };
+}
+
+// Index of the degree a scale shares its notes with as a major scale (Dorian => 6), or -1
+function majorModeRotation(intervals) {
+  if (intervals.length !== 7) return -1;
+  const target = MAJOR_DEGREE_SEMITONES.join(",");
+  for (let d = 0; d < intervals.length; d++) {
+    const rotated = intervals.map(iv => (iv - intervals[d] + 12) % 12).sort((a, b) => a - b);
+    if (rotated.join(",") === target) return d;
+  }
+  return -1;
+}
+
+// Modes use their parent major key; other scales the tonic major, or the tonic minor if they
+// have a minor third and no major third. Keys VexFlow cannot draw fall back to no signature.
+function keySignatureFor(keyName, intervals, spelledNotes) {
+  const rotation = majorModeRotation(intervals);
+  let major = keyName;
+  if (rotation >= 0) major = spelledNotes[rotation].name;
+  else if (intervals.includes(3) && !intervals.includes(4)) major = spellDegree(keyName, "b3").name;
+  return MAJOR_KEY_SIGNATURES.includes(major) ? major : "C";
+}
+
+// letter => alteration implied by a major key signature
+function signatureAlters(majorKey) {
+  const alters = {};
+  MAJOR_SCALE_DEGREES.forEach(d => {
+    const n = spellDegree(majorKey, d);
+    alters[n.letter] = n.alter;
+  });
+  return alters;
+}
+
+function buildSpelling(keyName, intervals, degrees = scaleDegreeNames(intervals)) {
+  const notes = degrees.map(d => spellDegree(keyName, d));
+  const byPc = new Map();
+  notes.forEach(n => { if (!byPc.has(n.pc)) byPc.set(n.pc, n); });
+
+  const keySignature = keySignatureFor(keyName, intervals, notes);
+  const sigAlters = signatureAlters(keySignature);
+  const prefersFlats = Object.values(sigAlters).some(a => a < 0) || keyName.includes("b");
+  return { degrees, notes, byPc, keySignature, sigAlters, prefersFlats };
+}
+
+// Spelling for the selected key and scale, set on each render
+let currentSpelling = null;
+
+function spellMidi(midi) {
+  const pc = midiToPc(midi);
+  const base = (currentSpelling && currentSpelling.byPc.get(pc)) ||
+    spellPcPlain(pc, currentSpelling ? currentSpelling.prefersFlats : false);
+  const octave = Math.floor((midi - base.alter) / 12) - 1; // MIDI 60 => C4, B#3 => 60
+  return { ...base, octave, vexKey: `${base.letter.toLowerCase()}${accidentalText(base.alter)}/${octave}` };
+}
+
+// Scale degree of a pitch in the selected key and scale ("b3"); notes outside the
+// scale get the most common name for their distance from the root
+function degreeForMidi(midi) {
+  if (!currentSpelling) return null;
+  const pc = midiToPc(midi);
+  const idx = currentSpelling.notes.findIndex(n => n.pc === pc);
+  if (idx >= 0) return currentSpelling.degrees[idx];
+  return DEGREE_CHOICES[(pc - currentSpelling.notes[0].pc + 12) % 12][0];
+}
+
+// "b3" => "m3", "#4" => "A4", "1" => "R"
+function intervalNameForDegree(degree) {
+  const { number, alter } = parseDegree(degree);
+  if (number === 1 && alter === 0) return "R";
+
+  const isPerfect = number === 1 || number === 4 || number === 5;
+  const qualities = isPerfect
+    ? { "-2": "dd", "-1": "d", "0": "P", "1": "A", "2": "AA" }
+    : { "-2": "d", "-1": "m", "0": "M", "1": "A", "2": "AA" };
+  return qualities[alter] + number;
+}
+
+// Returns a function that yields the accidental glyph a spelled note needs, or null when
+// the key signature (or an earlier accidental on the same line and octave) already covers it
+function createAccidentalTracker() {
+  const sigAlters = currentSpelling ? currentSpelling.sigAlters : {};
+  const state = {};
+  return (spelled) => {
+    const id = spelled.letter + spelled.octave;
+    const current = id in state ? state[id] : (sigAlters[spelled.letter] || 0);
+    if (spelled.alter === current) return null;
+    state[id] = spelled.alter;
+    return ACCIDENTAL_GLYPHS[spelled.alter];
+  };
+}
+
+// ---------------------------
+// Custom scales (persisted in localStorage)
+// ---------------------------
+
+const CUSTOM_SCALES_STORAGE_KEY = "customScales";
+
+// name => { intervals, degrees } (degrees only when entered as a formula)
+let customScales = {};
+
+function loadCustomScales() {
+  try {
+    const raw = localStorage.getItem(CUSTOM_SCALES_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    customScales = {};
+    Object.entries(parsed).forEach(([name, def]) => {
+      // Re-validate so a hand-edited or stale entry cannot break rendering
+      const text = (def.degrees || def.intervals || []).join(" ");
+      const checked = parseScaleIntervals(text);
+      if (!checked.error && !SCALE_DEFINITIONS[name]) customScales[name] = checked;
+    });
+  } catch (e) { customScales = {}; }
+}
+
+// False when storage is full or unavailable (e.g. Safari private browsing)
+function saveCustomScales() {
+  try {
+    localStorage.setItem(CUSTOM_SCALES_STORAGE_KEY, JSON.stringify(customScales));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function scaleIntervalsFor(scaleName) {
+  if (SCALE_DEFINITIONS[scaleName]) return SCALE_DEFINITIONS[scaleName];
+  return customScales[scaleName] ? customScales[scaleName].intervals : null;
+}
+
+// Degree names entered with a custom formula, otherwise left to the speller
+function scaleDegreesFor(scaleName) {
+  const custom = customScales[scaleName];
+  return custom && custom.degrees ? custom.degrees : undefined;
+}
+
+// Accepts semitones ("0 2 3 6 7 8 11") or a degree formula ("1 2 b3 #4 5 b6 7",
+// "1 2 3 5 6"). The root decides which: 0 starts semitones, 1 starts a formula.
+function parseScaleIntervals(text) {
+  const tokens = String(text || "").trim().split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) return { error: "Enter the intervals as semitones or as a degree formula." };
+
+  let intervals;
+  let degrees;
+
+  if (tokens[0] === "0") {
+    const bad = tokens.find(t => !/^\d+$/.test(t));
+    if (bad) return { error: `"${bad}" is not a semitone count: semitone intervals are whole numbers 0–11.` };
+    intervals = tokens.map(t => parseInt(t, 10));
+    const outOfRange = intervals.find(iv => iv > 11);
+    if (outOfRange !== undefined) return { error: `Interval ${outOfRange} is out of range: use semitones 0–11.` };
+  } else if (tokens[0] === "1") {
+    // 8–11 only make sense as semitones, which start from 0
+    const semitone = tokens.find(t => /^(8|9|10|11)$/.test(t));
+    if (semitone) return { error: `${semitone} is not a scale degree. Semitone intervals start with 0 (the root).` };
+    const bad = tokens.find(t => !parseDegree(t));
+    if (bad) return { error: `"${bad}" is not a scale degree like b3, 4 or #5.` };
+
+    degrees = tokens;
+    intervals = tokens.map(t => {
+      const { number, alter } = parseDegree(t);
+      return MAJOR_DEGREE_SEMITONES[number - 1] + alter;
+    });
+    const idx = intervals.findIndex(iv => iv < 0 || iv > 11);
+    if (idx >= 0) return { error: `Degree ${tokens[idx]} is out of range: it falls outside the octave.` };
+  } else {
+    return { error: "Start with the root: 0 for semitones, or 1 for a degree formula." };
+  }
+
+  for (let i = 1; i < intervals.length; i++) {
+    const label = degrees ? degrees[i] : intervals[i];
+    if (intervals[i] === intervals[i - 1]) return { error: `Duplicate interval: ${label} repeats the previous note.` };
+    if (intervals[i] < intervals[i - 1]) return { error: `Intervals must ascend: ${label} comes after a higher note.` };
+  }
+
+  if (intervals.length < 5 || intervals.length > 12) {
+    return { error: "A scale needs between 5 and 12 notes to build positions." };
+  }
+
+  return degrees ? { intervals, degrees } : { intervals };
+}
+
+function populateCustomScaleOptions(scaleSelect) {
+  let group = scaleSelect.querySelector("optgroup[data-custom]");
+  const names = Object.keys(customScales).sort((a, b) => a.localeCompare(b));
+
+  if (!names.length) {
+    if (group) group.remove();
+    return;
+  }
+  if (!group) {
+    group = document.createElement("optgroup");
+    group.label = "Custom";
+    group.setAttribute("data-custom", "");
+    scaleSelect.appendChild(group);
+  }
+  group.innerHTML = "";
+  names.forEach(name => {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = name;
+    group.appendChild(opt);
+  });
+}
+
+// ---------------------------
+// Scale pitch generation (exact MIDI, 2 or 3 octaves)
 // ---------------------------
 
-function buildScaleMidiSequence(rootPcName, intervals) {
+function buildScaleMidiSequence(rootPcName, intervals, octaves = 2, startMidi = null) {
   const rootPc = PC_TO_INDEX[rootPcName];
   if (rootPc === undefined) throw new Error("Unknown key: " + rootPcName);
 
-  // Anchor root around E2..E3 area on string 6 for practical guitar range
-  // String 6 open is E2 (40). If root is F# (pc=6), the first root on string 6 is fret 2 => midi 42.
-  const rootFret6 = pickLowERootFret(rootPcName);
-  const rootMidi = STRING_OPEN_MIDI[6] + rootFret6; // exact root pitch on string 6 within first octave
+  // Anchor root on the first octave of the lowest string for a practical range
+  // On a standard 6-string the lowest string is E2 (40). If root is F# (pc=6), the first root is fret 2 => midi 42.
+  const rootFretLow = pickLowERootFret(rootPcName);
+  const rootMidi = startMidi ?? stringOpenMidi[stringCount] + rootFretLow; // exact root pitch on the lowest string within first octave
 
   const up = [];
-  for (let oct = 0; oct < 2; oct++) {
+  for (let oct = 0; oct < octaves; oct++) {
     for (let i = 0; i < intervals.length; i++) {
       up.push(rootMidi + intervals[i] + 12 * oct);
     }
   }
-  // add top root to complete 2 octaves
-  up.push(rootMidi + 24);
+  // add top root to complete the last octave
+  up.push(rootMidi + 12 * octaves);
 
   // remove potential duplicates if an interval set already ended on octave
   const uniqUp = [];
@@ -197,8 +614,8 @@ function buildScaleMidiSequence(rootPcName, intervals) {
 
 function allPositionsForMidi(targetMidi) {
   const positions = [];
-  for (let s = 6; s >= 1; s--) {
-    const fret = targetMidi - STRING_OPEN_MIDI[s];
+  for (let s = stringCount; s >= 1; s--) {
+    const fret = targetMidi - stringOpenMidi[s];
     if (fret >= 0 && fret <= 24) {
       positions.push({ string: s, fret });
     }
@@ -228,33 +645,124 @@ function chooseBestPosition(prev, candidates) {
   return best || candidates[0];
 }
 
-function mapMidiToTabNotes(keyName, midiSeq) {
+// With notesPerString set, the run starts on startString and moves one string
+// higher after that many notes; pitches the target string cannot reach fall back
+// to the cost-based choice. Returns null if no string can reach a pitch.
+function mapMidiToTabNotes(keyName, midiSeq, notesPerString = 0, startString = stringCount) {
   const notes = [];
   let prevPos = null;
+  let targetString = startString;
+  let onString = 0;
 
   for (const midi of midiSeq) {
     const candidates = allPositionsForMidi(midi);
-    if (!candidates.length) continue;
+    if (!candidates.length) return null;
 
-    const chosen = chooseBestPosition(prevPos, candidates);
+    let chosen = null;
+    if (notesPerString) {
+      if (onString === notesPerString && targetString > 1) {
+        targetString--;
+        onString = 0;
+      }
+      chosen = candidates.find(c => c.string === targetString);
+    }
+    if (!chosen) {
+      chosen = chooseBestPosition(prevPos, candidates);
+      if (chosen.string !== targetString) {
+        targetString = chosen.string;
+        onString = 0;
+      }
+    }
+    onString++;
     prevPos = chosen;
 
     notes.push({
       string: chosen.string,
       fret: chosen.fret,
-      isRoot: midiToPcName(midi) === keyName
+      isRoot: midiToPc(midi) === PC_TO_INDEX[keyName]
     });
   }
 
   return notes;
 }
 
-function generateTabForScale(keyName, scaleName) {
-  const intervals = SCALE_DEFINITIONS[scaleName];
-  if (!intervals) return [];
+// Ascending tab for the scale; opts: { octaves, startMidi, notesPerString, startString }.
+// Null when the scale is unknown or part of the range is off the neck.
+function generateTabForScale(keyName, scaleName, opts = {}) {
+  const intervals = scaleIntervalsFor(scaleName);
+  if (!intervals) return null;
+
+  const { up } = buildScaleMidiSequence(keyName, intervals, opts.octaves, opts.startMidi);
+  return mapMidiToTabNotes(keyName, up, opts.notesPerString, opts.startString);
+}
+
+// ---------------------------
+// Diagonal runs
+// ---------------------------
+
+// opts: { octaves, startString, startFret, notesPerString }
+// The run starts on the root nearest startFret on startString, goes up with a
+// fixed number of notes per string and comes back down the same way.
+// Null when the top of the run is past the last fret.
+function generateDiagonalRun(keyName, scaleName, opts) {
+  const rootFret = nearestRootFret(keyName, opts.startString, opts.startFret);
+  const tab = generateTabForScale(keyName, scaleName, {
+    octaves: opts.octaves,
+    startMidi: stringOpenMidi[opts.startString] + rootFret,
+    notesPerString: opts.notesPerString,
+    startString: opts.startString
+  });
+  if (!tab) return null;
+
+  const asc = assignFingering(tab);
+  markPositionShifts(asc);
+
+  // Descend by mirroring the ascent; a slide from asc[i] up to asc[i + 1]
+  // becomes a slide from asc[i + 1] back down to asc[i]
+  const last = asc.length - 1;
+  const notesData = [...asc, ...asc.slice(0, -1).reverse()].map(n => ({ ...n, slide: false }));
+  asc.forEach((n, i) => {
+    if (!n.slide) return;
+    notesData[i].slide = true;
+    const j = i + 1;
+    notesData[j === last ? last : 2 * last - j].slide = true;
+  });
+
+  const frets = asc.map(n => n.fret);
+  return {
+    notesData,
+    minFret: Math.min(...frets),
+    maxFret: Math.max(...frets),
+    rootFret
+  };
+}
+
+function nearestRootFret(keyName, string, targetFret) {
+  const first = rootFretOnString(keyName, string);
+  let best = first;
+  for (let f = first; f <= 24; f += 12) {
+    if (Math.abs(f - targetFret) < Math.abs(best - targetFret)) best = f;
+  }
+  return best;
+}
+
+// Moving onto a new string higher up the neck is a position shift; the first
+// two notes on that string get a slide so the same finger carries the hand up
+function markPositionShifts(notes) {
+  let groupStart = 0;
+  let prevGroupFret = null;
+
+  for (let i = 1; i <= notes.length; i++) {
+    if (i < notes.length && notes[i].string === notes[groupStart].string) continue;
 
-  const { full } = buildScaleMidiSequence(keyName, intervals);
-  return mapMidiToTabNotes(keyName, full);
+    const groupFret = notes[groupStart].fret;
+    const hasPair = i - groupStart >= 2;
+    if (prevGroupFret !== null && hasPair && groupFret - prevGroupFret >= 2) {
+      notes[groupStart].slide = true;
+    }
+    prevGroupFret = groupFret;
+    groupStart = i;
+  }
 }
 
 // 3NPS positions for non-pentatonic scales
@@ -269,14 +777,14 @@ function buildPcSetForScale(keyName, intervals) {
 function fretsForStringPcSet(string, pcSet) {
   const frets = [];
   for (let f = 0; f <= 24; f++) {
-    const pc = (STRING_OPEN_MIDI[string] + f) % 12;
+    const pc = (stringOpenMidi[string] + f) % 12;
     if (pcSet.has(pc)) frets.push(f);
   }
   return frets;
 }
 
 function build3NPSPositionRun(keyName, scaleName, startFret, span = 6) {
-  const intervals = SCALE_DEFINITIONS[scaleName];
+  const intervals = scaleIntervalsFor(scaleName);
   if (!intervals) return null;
 
   const pcSet = buildPcSetForScale(keyName, intervals);
@@ -285,10 +793,11 @@ function build3NPSPositionRun(keyName, scaleName, startFret, span = 6) {
   let maxF = -Infinity;
   let lastMidi = -Infinity;
 
-  for (let s = 6; s >= 1; s--) {
+  for (let s = stringCount; s >= 1; s--) {
+    const lo = startFret + tuningFretCorrection(s);
     const candidates = fretsForStringPcSet(s, pcSet)
-      .filter(f => f >= startFret && f <= startFret + span)
-      .map(f => ({ fret: f, midi: STRING_OPEN_MIDI[s] + f }))
+      .filter(f => f >= lo && f <= lo + span)
+      .map(f => ({ fret: f, midi: stringOpenMidi[s] + f }))
       .sort((a, b) => a.midi - b.midi);
 
     const chosen = [];
@@ -310,13 +819,14 @@ function build3NPSPositionRun(keyName, scaleName, startFret, span = 6) {
     });
   }
 
+  assignFingering(notesAsc);
   const desc = notesAsc.slice(0, -1).reverse();
   const notesData = [...notesAsc, ...desc];
-  return { notesData, minFret: minF, maxFret: maxF };
+  return { notesData, notesAsc, minFret: minF, maxFret: maxF };
 }
 
 function generate3NPSPositionsForScale(keyName, scaleName) {
-  const intervals = SCALE_DEFINITIONS[scaleName];
+  const intervals = scaleIntervalsFor(scaleName);
   if (!intervals) return [];
 
   const positions = [];
@@ -335,54 +845,156 @@ function generate3NPSPositionsForScale(keyName, scaleName) {
 }
 
 // ---------------------------
-// Minor pentatonic boxes
+// CAGED positions
 // ---------------------------
 
-function pickBaseFretForBox(keyName, template) {
-  const rootFret = pickLowERootFret(keyName);
+// Fret windows relative to the root on the low E string (standard tuning), in neck order.
+// rootString is the guitar string that carries the root of the chord shape.
+const CAGED_SHAPES = [
+  { name: "E", rootString: 6, from: -1, to: 3 },
+  { name: "D", rootString: 4, from: 1, to: 5 },
+  { name: "C", rootString: 5, from: 4, to: 8 },
+  { name: "A", rootString: 5, from: 6, to: 10 },
+  { name: "G", rootString: 6, from: 9, to: 13 },
+];
+
+// Lowest string tuned to E in the instrument's standard tuning (string 6 on guitar, 4 on bass)
+function cagedAnchorString() {
+  for (let s = stringCount; s >= 1; s--) {
+    if (standardOpenMidi[s] % 12 === PC_TO_INDEX["E"]) return s;
+  }
+  return stringCount;
+}
 
-  // Prefer the correct "root position" first (F# => 2 so Box 1 becomes 2–5),
-  // then try the octave up, then octave down as last resort.
-  const candidates = [rootFret, rootFret + 12, rootFret - 12];
+function cagedChordLabel(shape, intervals) {
+  const quality = !intervals.includes(4) && intervals.includes(3) ? "m" : "";
+  const rootString = cagedAnchorString() - (6 - shape.rootString);
+  return `${shape.name}${quality} chord shape, root on string ${rootString}`;
+}
 
-  function boxFits(base) {
-    for (let s = 6; s >= 1; s--) {
-      for (const off of template.frets[s]) {
-        const f = base + off;
-        if (f < 0 || f > 24) return false;
-      }
-    }
-    return true;
+function buildCagedPositionRun(keyName, scaleName, shape) {
+  const intervals = scaleIntervalsFor(scaleName);
+  if (!intervals) return null;
+
+  const anchor = cagedAnchorString();
+  const rootFret = rootFretOnString(keyName, anchor);
+
+  let from = rootFret + shape.from;
+  let to = rootFret + shape.to;
+  if (from < 0) {
+    // Open-position shape when most of the window is on the neck, otherwise an octave up
+    if (to >= 3) from = 0;
+    else { from += 12; to += 12; }
   }
 
-  for (const c of candidates) {
-    if (boxFits(c)) return c;
+  const pcSet = buildPcSetForScale(keyName, intervals);
+  const notesAsc = [];
+  let lastMidi = -Infinity;
+
+  for (let s = stringCount; s >= 1; s--) {
+    const corr = tuningFretCorrection(s) - tuningFretCorrection(anchor);
+    fretsForStringPcSet(s, pcSet)
+      .filter(f => f >= from + corr && f <= to + corr)
+      .forEach(f => {
+        const midi = stringOpenMidi[s] + f;
+        if (midi <= lastMidi) return;
+        lastMidi = midi;
+        notesAsc.push({ string: s, fret: f, isRoot: isRootForKey(s, f, keyName) });
+      });
   }
 
-  return clampFret(rootFret);
+  if (notesAsc.length === 0) return null;
+
+  assignFingering(notesAsc);
+  const frets = notesAsc.map(n => n.fret);
+  const desc = notesAsc.slice(0, -1).reverse();
+  return {
+    notesData: [...notesAsc, ...desc],
+    notesAsc,
+    minFret: Math.min(...frets),
+    maxFret: Math.max(...frets),
+    shape: shape.name,
+    chordLabel: cagedChordLabel(shape, intervals),
+  };
+}
+
+function generateCagedPositionsForScale(keyName, scaleName) {
+  const positions = CAGED_SHAPES
+    .map(shape => buildCagedPositionRun(keyName, scaleName, shape))
+    .filter(Boolean);
+
+  positions.sort((a, b) => (a.minFret - b.minFret) || (a.maxFret - b.maxFret));
+  return positions;
+}
+
+// ---------------------------
+// Pentatonic boxes (2 notes per string, any 5-note scale)
+// ---------------------------
+
+function nextScaleMidi(midi, pcSet) {
+  let m = midi + 1;
+  while (!pcSet.has(((m % 12) + 12) % 12)) m++;
+  return m;
+}
+
+// Degree of the scale that a minor pentatonic can be built on (0 for Minor Pentatonic,
+// 4 for Major Pentatonic's relative minor), or -1 when the scale is not a minor pentatonic mode
+function relativeMinorPentDegree(intervals) {
+  const target = SCALE_DEFINITIONS["Minor Pentatonic"].join(",");
+  for (let d = 0; d < intervals.length; d++) {
+    const rotated = intervals.map(iv => (iv - intervals[d] + 12) % 12).sort((a, b) => a - b);
+    if (rotated.join(",") === target) return d;
+  }
+  return -1;
 }
 
-function generateBoxNotes(template, baseFretS6, keyName) {
+// One box: starts on the given scale degree on the lowest string, then takes the next two
+// scale tones on every string going up, so each shape is a strict 2NPS run
+function buildPentatonicBox(keyName, intervals, startDegree) {
+  const pcSet = buildPcSetForScale(keyName, intervals);
+  const startPc = (PC_TO_INDEX[keyName] + intervals[startDegree]) % 12;
+  const lowOpen = stringOpenMidi[stringCount];
+
+  let midi = lowOpen + (((startPc - lowOpen) % 12) + 12) % 12;
   const asc = [];
-  for (let s = 6; s >= 1; s--) {
-    const offs = template.frets[s];
-    for (const off of offs) {
-      const fret = clampFret(baseFretS6 + off);
-      asc.push({ string: s, fret, isRoot: isRootForKey(s, fret, keyName) });
+  for (let s = stringCount; s >= 1; s--) {
+    for (let k = 0; k < 2; k++) {
+      if (asc.length) midi = nextScaleMidi(midi, pcSet);
+      asc.push({ string: s, fret: midi - stringOpenMidi[s] });
     }
   }
+
+  // Wide string gaps (drop tunings) can push a string below the nut: move the shape up an octave
+  let frets = asc.map(n => n.fret);
+  if (Math.min(...frets) < 0) asc.forEach(n => { n.fret += 12; });
+  frets = asc.map(n => n.fret);
+  if (Math.min(...frets) < 0 || Math.max(...frets) > 24) return null;
+
+  asc.forEach(n => { n.isRoot = isRootForKey(n.string, n.fret, keyName); });
+  assignFingering(asc);
   const desc = asc.slice(0, -1).reverse();
-  return [...asc, ...desc];
+  return {
+    notesData: [...asc, ...desc],
+    notesAsc: asc,
+    minFret: Math.min(...frets),
+    maxFret: Math.max(...frets),
+  };
 }
 
-function generateAllMinorPentBoxes(keyName) {
-  const boxes = MIN_PENT_BOX_TEMPLATES.map((tpl) => {
-    const base = pickBaseFretForBox(keyName, tpl);
-    const notesData = generateBoxNotes(tpl, base, keyName);
-    const frets = notesData.map(n => n.fret);
-    const minFret = Math.min(...frets);
-    const maxFret = Math.max(...frets);
-    return { id: tpl.id, minFret, maxFret, notesData };
+function generatePentatonicBoxes(keyName, scaleName) {
+  const intervals = scaleIntervalsFor(scaleName);
+  if (!intervals || intervals.length !== 5) return [];
+
+  const minorDegree = relativeMinorPentDegree(intervals);
+  const boxes = [];
+
+  intervals.forEach((iv, degree) => {
+    const box = buildPentatonicBox(keyName, intervals, degree);
+    if (!box) return;
+    box.id = degree + 1;
+    // Box number in the relative minor pentatonic (Major Pentatonic box 1 = minor box 2)
+    box.minorBoxId = minorDegree > 0 ? ((degree - minorDegree + 5) % 5) + 1 : null;
+    boxes.push(box);
   });
 
   // Order by fret position, but keep Box id for label
@@ -391,201 +1003,1547 @@ function generateAllMinorPentBoxes(keyName) {
 }
 
 // ---------------------------
-// Rendering
+// Left-hand fingering
 // ---------------------------
 
-function renderTab(containerEl, notesData) {
-  containerEl.innerHTML = "";
+// One finger per fret: with the index at handFret, fingers 1-4 cover four frets.
+// A note one fret outside is a stretch of the index or pinky (a five-fret span);
+// anything further moves the hand. Stretching is preferred to shifting.
+const FINGER_SPAN = 4;
+const STRETCH_COST = 2;
+const SHIFT_COST = 10;
+
+// Finger for a fret with the index at handFret, or 0 when out of reach
+function fingerForFret(fret, handFret) {
+  const offset = fret - handFret;
+  if (offset === -1) return 1;
+  if (offset === FINGER_SPAN) return FINGER_SPAN;
+  return offset >= 0 && offset < FINGER_SPAN ? offset + 1 : 0;
+}
 
-  const { ctx, width } = createResponsiveRenderer(containerEl, 190);
-  const staveWidth = Math.max(120, width - 20);
-  const formatWidth = Math.max(80, width - 40);
+// Cheapest hand position for frets played on one string, or null when no
+// position reaches them all with a different finger per fret
+function bestHandPosition(frets, handFret) {
+  const lo = Math.min(...frets);
+  const hi = Math.max(...frets);
+  let best = null;
 
-  const stave = new TabStave(10, 18, staveWidth).setNumLines(6);
-  stave.addClef("tab");
-  stave.setContext(ctx).draw();
+  for (let h = Math.max(1, hi - FINGER_SPAN); h <= lo + 1; h++) {
+    const fingers = frets.map(f => fingerForFret(f, h));
+    if (fingers.includes(0) || new Set(fingers).size !== new Set(frets).size) continue;
 
-  const tabNotes = notesData.map(n => {
-    const tn = new TabNote({
-      positions: [{ str: n.string, fret: n.fret }],
-      duration: "q"
+    const stretches = frets.filter(f => f < h || f >= h + FINGER_SPAN).length;
+    const moved = handFret !== null && h !== handFret;
+    const cost = stretches * STRETCH_COST + (moved ? SHIFT_COST + Math.abs(h - handFret) : 0);
+    const distance = Math.abs(h - (handFret === null ? lo : handFret));
+    if (!best || cost < best.cost || (cost === best.cost && distance < best.distance)) {
+      best = { handFret: h, cost, distance };
+    }
+  }
+  return best;
+}
+
+// Hand position that reaches the first fretted note and covers the most
+// notes without stretching, lowest first
+function startingHandFret(notes) {
+  const frets = notes.map(n => n.fret).filter(f => f > 0);
+  if (!frets.length) return null;
+  let best = null;
+  let bestCount = -1;
+  for (let h = Math.max(1, frets[0] - FINGER_SPAN + 1); h <= frets[0]; h++) {
+    const count = frets.filter(f => f >= h && f < h + FINGER_SPAN).length;
+    if (count > bestCount) {
+      best = h;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Sets finger (0 for open strings), handFret and stretch on the notes of an
+// ascending run. Returns the notes.
+function assignFingering(notesAsc) {
+  let handFret = startingHandFret(notesAsc);
+
+  const place = chunk => {
+    if (!chunk.length) return;
+    handFret = bestHandPosition(chunk.map(n => n.fret), handFret).handFret;
+    chunk.forEach(n => {
+      n.finger = fingerForFret(n.fret, handFret);
+      n.handFret = handFret;
+      n.stretch = n.fret < handFret || n.fret >= handFret + FINGER_SPAN;
     });
-    if (showRootNotes && n.isRoot) {
-      tn.setStyle({
-        fillStyle: "#dc2626",
-        strokeStyle: "#dc2626"
-      });
+  };
+
+  // Fretted notes on a string share a hand position until one is out of reach
+  let chunk = [];
+  notesAsc.forEach((n, i) => {
+    if (i > 0 && n.string !== notesAsc[i - 1].string) {
+      place(chunk);
+      chunk = [];
     }
-    if (showNoteNames) {
-      const label = noteNameFromNoteData(n);
-      const ann = new Annotation(label);
-      ann.setVerticalJustification(Annotation.VerticalJustify.TOP);
-      ann.setYShift(-20);
-      tn.addModifier(ann, 0);
+    if (n.fret === 0) {
+      n.finger = 0;
+      n.stretch = false;
+      return;
     }
-    return tn;
+    if (chunk.length && !bestHandPosition([...chunk, n].map(c => c.fret), handFret)) {
+      place(chunk);
+      chunk = [];
+    }
+    chunk.push(n);
   });
+  place(chunk);
+  return notesAsc;
+}
 
-  const voice = new Voice({ num_beats: tabNotes.length, beat_value: 4 }).setStrict(false);
-  voice.addTickables(tabNotes);
-
-  new Formatter().joinVoices([voice]).format([voice], formatWidth);
-  voice.draw(ctx, stave);
+// Copies of notes in play order; shift is "up" or "down" on the first note
+// played after the hand moves
+function markHandShifts(notesData) {
+  let prev = null;
+  return notesData.map(n => {
+    if (n.handFret === undefined) return n;
+    const shift = prev !== null && n.handFret !== prev ? (n.handFret > prev ? "up" : "down") : null;
+    prev = n.handFret;
+    return { ...n, shift };
+  });
+}
 
-  alignAnnotationRow(containerEl, 32);
+// "↑1", "4*" (stretch), or null when fingering is hidden
+function fingeringLabel(n) {
+  if (!showFingering || n.finger === undefined) return null;
+  const arrow = n.shift === "up" ? "↑" : n.shift === "down" ? "↓" : "";
+  return `${arrow}${n.finger}${n.stretch ? "*" : ""}`;
 }
 
-function renderGrandStaff(containerEl, notesData) {
-  containerEl.innerHTML = "";
+// ---------------------------
+// Full-neck fretboard diagram
+// ---------------------------
 
-  const { ctx, width } = createResponsiveRenderer(containerEl, 260);
-  const staveWidth = Math.max(180, width - 20);
-  const formatWidth = Math.max(120, width - 40);
+const SVG_NS = "http://www.w3.org/2000/svg";
+const NECK_FRET_COUNT = 24;
 
-  const treble = new Stave(10, 20, staveWidth).addClef("treble");
-  treble.setContext(ctx).draw();
+// Fret window of the pinned position section, or null. The pin survives
+// re-renders (resize, print) until the key, scale, system or instrument changes.
+let pinnedNeckWindow = null;
+let pinnedNeckContext = "";
 
-  const bass = new Stave(10, 140, staveWidth).addClef("bass");
-  bass.setContext(ctx).draw();
+function sameNeckWindow(a, b) {
+  return !!a && !!b && a.minFret === b.minFret && a.maxFret === b.maxFret;
+}
 
-  const brace = new StaveConnector(treble, bass);
-  brace.setType(StaveConnector.type.BRACE);
-  brace.setContext(ctx).draw();
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+  return el;
+}
 
-  const left = new StaveConnector(treble, bass);
-  left.setType(StaveConnector.type.SINGLE_LEFT);
-  left.setContext(ctx).draw();
+function neckFretX(fret) {
+  const xStart = 50;
+  const fretSpacing = (990 - xStart) / NECK_FRET_COUNT;
+  return xStart + fret * fretSpacing;
+}
 
-  const right = new StaveConnector(treble, bass);
-  right.setType(StaveConnector.type.SINGLE_RIGHT);
-  right.setContext(ctx).draw();
+// comparePcs: pitch classes of a compared scale, drawn in the overlay colours
+function renderNeck(mountEl, keyName, intervals, comparePcs = null) {
+  mountEl.innerHTML = "";
+  if (!intervals) return;
+
+  const yStart = 24;
+  const stringGap = 26;
+  const yEnd = yStart + (stringCount - 1) * stringGap;
+  const height = yEnd + 34;
+  const fretSpacing = neckFretX(1) - neckFretX(0);
+
+  const svg = svgEl("svg", {
+    width: "100%",
+    viewBox: `0 0 1000 ${height}`,
+    preserveAspectRatio: "xMinYMin meet"
+  });
+  svg.style.display = "block";
 
-  const trebleNotes = [];
-  const bassNotes = [];
+  svg.appendChild(svgEl("rect", { x: 0, y: 0, width: 1000, height, rx: 8, fill: "#3b2618" }));
 
-  for (const n of notesData) {
-    const midi = STRING_OPEN_MIDI[n.string] + n.fret;
-    const key = midiToVexKeySharp(midi);
+  function fretCenterX(fret) {
+    return neckFretX(fret) - fretSpacing * 0.5;
+  }
 
-    if (midi >= 60) {
-      const t = new StaveNote({ keys: [key], duration: "q", clef: "treble" });
-      addAccidentalsIfNeeded(t);
-      if (showRootNotes && n.isRoot) {
-        t.setStyle({
-          fillStyle: "#dc2626",
-          strokeStyle: "#dc2626"
-        });
-      }
-      if (showNoteNames) {
-        const label = noteNameFromNoteData(n);
-        const ann = new Annotation(label);
-        ann.setVerticalJustification(Annotation.VerticalJustify.TOP);
-        ann.setYShift(-18);
-        t.addModifier(ann, 0);
-      }
+  // String 1 (highest) is drawn at the top, as on note-finder
+  function stringY(string) {
+    return yStart + (string - 1) * stringGap;
+  }
 
-      trebleNotes.push(t);
-      bassNotes.push(new StaveNote({ keys: ["b/3"], duration: "qr", clef: "bass" }));
-    } else {
-      trebleNotes.push(new StaveNote({ keys: ["b/4"], duration: "qr", clef: "treble" }));
-
-      const b = new StaveNote({ keys: [key], duration: "q", clef: "bass" });
-      addAccidentalsIfNeeded(b);
-      if (showRootNotes && n.isRoot) {
-        b.setStyle({
-          fillStyle: "#dc2626",
-          strokeStyle: "#dc2626"
-        });
-      }
-      if (showNoteNames) {
-        const label = noteNameFromNoteData(n);
-        const ann = new Annotation(label);
-        ann.setVerticalJustification(Annotation.VerticalJustify.TOP);
-        ann.setYShift(-18);
-        b.addModifier(ann, 0);
-      }
+  // Position window highlight sits under the strings and dots
+  const highlight = svgEl("rect", {
+    y: yStart - 13,
+    height: yEnd - yStart + 26,
+    rx: 6,
+    fill: "#d69e2e",
+    opacity: 0.35,
+    visibility: "hidden"
+  });
+  highlight.setAttribute("data-neck-window", "");
+  svg.appendChild(highlight);
+
+  for (let f = 0; f <= NECK_FRET_COUNT; f++) {
+    const x = neckFretX(f);
+    svg.appendChild(svgEl("line", {
+      x1: x, y1: yStart, x2: x, y2: yEnd,
+      stroke: "#aaaaaa",
+      "stroke-width": f === 0 ? 3 : 2
+    }));
+  }
 
-      bassNotes.push(b);
+  // Inlays and fret numbers
+  const midY = (yStart + yEnd) / 2;
+  for (const f of [3, 5, 7, 9, 15, 17, 19, 21]) {
+    svg.appendChild(svgEl("circle", { cx: fretCenterX(f), cy: midY, r: 7, fill: "#b3a89b", opacity: 0.32 }));
+  }
+  for (const f of [12, 24]) {
+    for (const y of [midY - stringGap, midY + stringGap]) {
+      svg.appendChild(svgEl("circle", { cx: fretCenterX(f), cy: y, r: 6, fill: "#b3a89b", opacity: 0.32 }));
     }
   }
+  for (const f of [0, 3, 5, 7, 9, 12, 15, 17, 19, 21, 24]) {
+    const label = svgEl("text", {
+      x: fretCenterX(f),
+      y: yEnd + 24,
+      "font-size": 12,
+      fill: "#d9cbbb",
+      "font-family": "system-ui, -apple-system, sans-serif",
+      "text-anchor": "middle"
+    });
+    label.textContent = String(f);
+    svg.appendChild(label);
+  }
 
-  const vT = new Voice({ num_beats: trebleNotes.length, beat_value: 4 }).setStrict(false).addTickables(trebleNotes);
-  const vB = new Voice({ num_beats: bassNotes.length, beat_value: 4 }).setStrict(false).addTickables(bassNotes);
+  for (let s = 1; s <= stringCount; s++) {
+    svg.appendChild(svgEl("line", {
+      x1: neckFretX(0), y1: stringY(s), x2: neckFretX(NECK_FRET_COUNT), y2: stringY(s),
+      stroke: "#dddddd",
+      "stroke-width": 1.5 + (s - 1) * 0.5
+    }));
+  }
 
-  new Formatter().format([vT, vB], formatWidth);
-  vT.draw(ctx, treble);
-  vB.draw(ctx, bass);
+  // Every scale tone on every string
+  const pcSet = buildPcSetForScale(keyName, intervals);
+  for (let s = 1; s <= stringCount; s++) {
+    for (let fret = 0; fret <= NECK_FRET_COUNT; fret++) {
+      const midi = stringOpenMidi[s] + fret;
+      const pc = midiToPc(midi);
+      const inScale = pcSet.has(pc);
+      const inCompare = comparePcs ? comparePcs.has(pc) : false;
+      if (!inScale && !inCompare) continue;
+
+      const isRoot = isRootForKey(s, fret, keyName);
+      const compare = !comparePcs ? null : inScale && inCompare ? "shared" : inScale ? "primary" : "secondary";
+      const color = isRoot ? "#dc2626" : COMPARE_COLORS[compare];
+      const x = fretCenterX(fret);
+      const y = stringY(s);
+      svg.appendChild(svgEl("circle", {
+        cx: x, cy: y, r: 10,
+        fill: color || "#f7fafc",
+        stroke: "#0f172a",
+        "stroke-width": 1.5
+      }));
+
+      const label = noteLabelFromNoteData({ string: s, fret });
+      if (label) {
+        const text = svgEl("text", {
+          x, y: y + 4,
+          "font-size": label.length > 2 ? 8 : 10,
+          "font-weight": 700,
+          fill: color ? "#ffffff" : "#0f172a",
+          "font-family": "system-ui, -apple-system, sans-serif",
+          "text-anchor": "middle"
+        });
+        text.textContent = label;
+        svg.appendChild(text);
+      }
+    }
+  }
 
-  alignAnnotationRow(containerEl, 38);
-  alignAnnotationRow(containerEl, 38);
+  mountEl.appendChild(svg);
 }
 
-// ===========================
-// Audio Engine
-// ===========================
+// Show a position's fret window on the neck; null falls back to the pinned one
+function highlightNeckWindow(fretWindow) {
+  const highlight = document.querySelector("#neckMount [data-neck-window]");
+  if (!highlight) return;
 
-const AudioEngine = (() => {
-  let audioCtx = null;
-  let isPlaying = false;
-  let currentOscillators = [];
-  let currentGains = [];
-  let playbackTimer = null;
-  let currentSequence = [];
+  const w = fretWindow || pinnedNeckWindow;
+  if (!w) {
+    highlight.setAttribute("visibility", "hidden");
+    return;
+  }
+
+  // Open strings sit left of the nut, so a window from fret 0 starts one slot early
+  const left = neckFretX(Math.max(w.minFret - 1, -1));
+  const right = neckFretX(Math.min(w.maxFret, NECK_FRET_COUNT));
+  highlight.setAttribute("x", String(left - 2));
+  highlight.setAttribute("width", String(right - left + 4));
+  highlight.setAttribute("visibility", "visible");
+}
+
+function linkHeaderToNeck(header, fretWindow) {
+  header.classList.add("linked");
+  header.title = "Click to pin this position on the neck";
+
+  header.addEventListener("mouseenter", () => highlightNeckWindow(fretWindow));
+  header.addEventListener("mouseleave", () => highlightNeckWindow(null));
+  if (sameNeckWindow(pinnedNeckWindow, fretWindow)) header.classList.add("pinned");
+  header.addEventListener("click", (evt) => {
+    // Playback controls live in the header too
+    if (evt.target.closest("button, label, input")) return;
+
+    const isPinned = sameNeckWindow(pinnedNeckWindow, fretWindow);
+    pinnedNeckWindow = isPinned ? null : fretWindow;
+    document.querySelectorAll(".section-header.pinned").forEach(h => h.classList.remove("pinned"));
+    if (!isPinned) header.classList.add("pinned");
+    highlightNeckWindow(fretWindow);
+  });
+}
+
+// ---------------------------
+// Scale comparison overlay
+// ---------------------------
+
+// n.compare: "shared" | "primary" | "secondary" (only in the compared scale)
+const COMPARE_COLORS = { shared: "#475569", primary: "#2563eb", secondary: "#16a34a" };
+
+// Note colour for tab, staff and neck: roots first, then the compare overlay
+function noteColorFor(n) {
+  if (showRootNotes && n.isRoot) return "#dc2626";
+  return COMPARE_COLORS[n.compare] || null;
+}
+
+function syncCompareOptions(compareSelect, scaleSelect) {
+  const prev = compareSelect.value;
+  compareSelect.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "None";
+  compareSelect.appendChild(none);
+  [...scaleSelect.children].forEach(child => compareSelect.appendChild(child.cloneNode(true)));
+  compareSelect.value = prev;
+  if (compareSelect.value !== prev) compareSelect.value = "";
+}
+
+// Compared-scale notes may sit this many frets outside the position, a finger stretch
+const COMPARE_STRETCH_FRETS = 1;
+
+// Tags a position's notes against the compared scale and adds the compared
+// scale's own notes within reach of the position's fret window
+function comparePosition(position, keyName, primaryPcs, comparePcs) {
+  const tag = pc => (primaryPcs.has(pc) && comparePcs.has(pc) ? "shared" : primaryPcs.has(pc) ? "primary" : "secondary");
+  const notes = position.notesAsc.map(n => {
+    const midi = stringOpenMidi[n.string] + n.fret;
+    return { ...n, midi, compare: tag(midiToPc(midi)) };
+  });
+
+  const minFret = Math.max(0, position.minFret - COMPARE_STRETCH_FRETS);
+  const maxFret = Math.min(24, position.maxFret + COMPARE_STRETCH_FRETS);
+  const strings = new Set(notes.map(n => n.string));
+  strings.forEach(s => {
+    for (let fret = minFret; fret <= maxFret; fret++) {
+      const midi = stringOpenMidi[s] + fret;
+      const pc = midiToPc(midi);
+      if (primaryPcs.has(pc) || !comparePcs.has(pc)) continue;
+      if (notes.some(n => n.midi === midi)) continue;
+      notes.push({ string: s, fret, midi, isRoot: false, compare: "secondary" });
+    }
+  });
+
+  // Keep the run ascending in pitch, and within a string in fret order
+  notes.sort((a, b) => (a.midi - b.midi) || (b.string - a.string));
+  const notesAsc = assignFingering(notes.map(({ midi, ...n }) => n));
+  return { ...position, notesAsc, notesData: [...notesAsc, ...notesAsc.slice(0, -1).reverse()] };
+}
+
+// ---------------------------
+// Sequence patterns
+// ---------------------------
+
+// Each pattern maps the ascending notes of a position to indexes into that
+// array, so a sequence never leaves the position's fret window. The descent
+// applies the same pattern to the reversed notes.
+const SEQUENCE_PATTERNS = {
+  "straight": { label: "Straight", indexes: null },
+  "groups3": { label: "Groups of 3", indexes: len => groupIndexes(len, 3) },
+  "groups4": { label: "Groups of 4", indexes: len => groupIndexes(len, 4) },
+  "thirds": { label: "Diatonic 3rds", indexes: len => skipIndexes(len, 2) },
+  "fourths": { label: "Diatonic 4ths", indexes: len => skipIndexes(len, 3) },
+  "sixths": { label: "Diatonic 6ths", indexes: len => skipIndexes(len, 5) },
+  "up1down2": { label: "Up 1 down 2", indexes: upOneDownTwoIndexes },
+};
+
+// 1 2 3, 2 3 4, 3 4 5...
+function groupIndexes(len, size) {
+  const out = [];
+  for (let i = 0; i + size <= len; i++) {
+    for (let k = 0; k < size; k++) out.push(i + k);
+  }
+  return out;
+}
+
+// 1 3, 2 4, 3 5... for 3rds
+function skipIndexes(len, step) {
+  const out = [];
+  for (let i = 0; i + step < len; i++) out.push(i, i + step);
+  return out;
+}
+
+// 2 3 1, 3 4 2, 4 5 3...: a step up, then two steps down
+function upOneDownTwoIndexes(len) {
+  const out = [];
+  for (let i = 1; i + 1 < len; i++) out.push(i, i + 1, i - 1);
+  return out;
+}
+
+function applySequencePattern(position, patternName) {
+  const pattern = SEQUENCE_PATTERNS[patternName];
+  if (!pattern || !pattern.indexes || !position.notesAsc) return position.notesData;
+
+  const asc = position.notesAsc;
+  const desc = asc.slice().reverse();
+  const idx = pattern.indexes(asc.length);
+  return [...idx.map(i => ({ ...asc[i] })), ...idx.map(i => ({ ...desc[i] }))];
+}
+
+// ---------------------------
+// Picking
+// ---------------------------
+
+const PICKING_MODES = ["none", "alternate", "economy", "legato"];
+
+// Copies of notes in play order with pick ("down" | "up") on picked notes and
+// legato ("H" | "P") on notes sounded from the previous one on the same string.
+// Strings are numbered towards the floor, so a lower number is a downstroke away.
+// - alternate: down and up in turn, whatever the string
+// - economy: alternate on a string, and stroke towards the new string when crossing
+// - legato: pick the first two notes on a string, hammer or pull the rest
+function applyPicking(notesData, mode) {
+  if (!PICKING_MODES.includes(mode) || mode === "none") return notesData;
+
+  let stroke = null;
+  let onString = 0;
+  return notesData.map((n, i) => {
+    const prev = notesData[i - 1];
+    const sameString = !!prev && prev.string === n.string;
+    onString = sameString ? onString + 1 : 1;
+
+    if (mode === "legato" && onString >= 3 && n.fret !== prev.fret) {
+      return { ...n, legato: n.fret > prev.fret ? "H" : "P" };
+    }
+    if (mode === "economy" && prev && !sameString) {
+      stroke = n.string < prev.string ? "down" : "up";
+    } else {
+      stroke = stroke === "down" ? "up" : "down";
+    }
+    return { ...n, pick: stroke };
+  });
+}
+
+// ---------------------------
+// Diatonic arpeggios
+// ---------------------------
+
+// Chord suffix by semitones above the chord root: "third,fifth" or "third,fifth,seventh"
+const CHORD_SUFFIXES = {
+  "4,7": "", "3,7": "m", "3,6": "dim", "4,8": "aug", "4,6": "(b5)",
+  "4,7,11": "maj7", "4,7,10": "7", "3,7,10": "m7", "3,6,10": "m7b5",
+  "3,6,9": "dim7", "3,7,11": "m(maj7)", "4,8,11": "maj7#5", "4,8,10": "7#5", "4,6,10": "7b5",
+};
+
+const ROMAN_NUMERALS = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+const CHORD_QUALITY_NAMES = {
+  "": "major", "m": "minor", "dim": "diminished", "aug": "augmented", "(b5)": "major flat five",
+  "maj7": "major 7th", "7": "dominant 7th", "m7": "minor 7th", "m7b5": "half-diminished",
+  "dim7": "diminished 7th", "m(maj7)": "minor major 7th", "maj7#5": "augmented major 7th",
+  "7#5": "augmented 7th", "7b5": "dominant 7th flat five",
+};
+
+// Chord tone above scale note i: the note stacked a third up the scale when it
+// fits, otherwise any scale note at one of the allowed distances. This keeps
+// seven-note scales in stacked thirds and still finds chords in pentatonics.
+function chordToneAbove(intervals, i, steps, allowed) {
+  const n = intervals.length;
+  const dist = j => (intervals[j % n] - intervals[i] + 12) % 12;
+  if (allowed.includes(dist(i + steps))) return dist(i + steps);
+  return allowed.find(d => intervals.includes((intervals[i] + d) % 12)) ?? null;
+}
+
+// One chord per scale degree, skipping degrees without a recognisable triad
+function buildDiatonicChords(intervals, withSeventh) {
+  const chords = [];
+  intervals.forEach((iv, i) => {
+    const third = chordToneAbove(intervals, i, 2, [4, 3]);
+    const fifth = chordToneAbove(intervals, i, 4, [7, 6, 8]);
+    if (third === null || fifth === null) return;
+
+    const tones = [0, third, fifth];
+    if (withSeventh) {
+      const dimTriad = third === 3 && fifth === 6;
+      const seventh = chordToneAbove(intervals, i, 6, dimTriad ? [10, 9, 11] : [10, 11]);
+      if (seventh === null) return;
+      tones.push(seventh);
+    }
+
+    const suffix = CHORD_SUFFIXES[tones.slice(1).join(",")];
+    if (suffix === undefined) return;
+    chords.push({ degreeIndex: i, tones, suffix });
+  });
+  return chords;
+}
+
+// "bIII", "ii", "vii°", "viiø" (half-diminished) from the scale degree and chord quality
+function romanNumeralFor(degree, chord) {
+  const { number, alter } = parseDegree(degree);
+  const numeral = accidentalText(alter) + ROMAN_NUMERALS[number - 1];
+  const minor = chord.tones[1] === 3;
+  const dim = minor && chord.tones[2] === 6;
+  const dimMark = chord.tones[3] === 10 ? "ø" : "°";
+  return (minor ? numeral.toLowerCase() : numeral) + (dim ? dimMark : chord.tones[2] === 8 ? "+" : "");
+}
+
+// Chord tones of a position, low to high; isRoot marks the chord root so the
+// root highlight follows the arpeggio
+function arpeggioNotesInPosition(position, keyName, intervals, chord) {
+  const rootPc = (PC_TO_INDEX[keyName] + intervals[chord.degreeIndex]) % 12;
+  const chordPcs = new Set(chord.tones.map(t => (rootPc + t) % 12));
+  return position.notesAsc
+    .filter(n => chordPcs.has(midiToPc(stringOpenMidi[n.string] + n.fret)))
+    .map(n => ({ ...n, isRoot: midiToPc(stringOpenMidi[n.string] + n.fret) === rootPc }));
+}
+
+// Fret windows arpeggios are placed in: boxes for pentatonics, otherwise the
+// selected system (diagonal runs have no windows, so 3NPS stands in)
+function positionsForSystem(keyName, scaleName, system) {
+  const intervals = scaleIntervalsFor(scaleName);
+  if (!intervals) return [];
+  if (intervals.length === 5) return generatePentatonicBoxes(keyName, scaleName);
+  if (system === "caged") return generateCagedPositionsForScale(keyName, scaleName);
+  return generate3NPSPositionsForScale(keyName, scaleName);
+}
+
+// ---------------------------
+// Chord voicings and harmony panel
+// ---------------------------
+
+// Root-position voicings on a contiguous set of strings inside a 4-fret window.
+// Seventh chords may drop the fifth. Returns up to `limit` voicings spread along
+// the neck as [{ frets: { [string]: fret } , minFret, maxFret }]
+function findChordVoicings(rootPc, tones, limit = 3) {
+  const chordPcs = new Set(tones.map(t => (rootPc + t) % 12));
+  const required = tones.length === 4 ? [tones[0], tones[1], tones[3]] : tones;
+  const requiredPcs = required.map(t => (rootPc + t) % 12);
+  const minStrings = Math.min(4, stringCount - 1);
+  const found = new Map();
+
+  function evaluate(frets) {
+    const sounded = Object.keys(frets).map(Number).sort((a, b) => b - a);
+    if (sounded.length < minStrings || sounded.length > 6) return;
+
+    const pcs = sounded.map(s => midiToPc(stringOpenMidi[s] + frets[s]));
+    if (pcs[0] !== rootPc) return;
+    if (!requiredPcs.every(pc => pcs.includes(pc))) return;
+
+    const fretted = sounded.map(s => frets[s]).filter(f => f > 0);
+    const minFret = fretted.length ? Math.min(...fretted) : 0;
+    const maxFret = fretted.length ? Math.max(...fretted) : 0;
+    // More than four fretted notes needs the index finger to barre the lowest fret
+    const fingers = fretted.length <= 4 ? fretted.length : 1 + fretted.filter(f => f > minFret).length;
+    if (fingers > 4) return;
+
+    const key = sounded.map(s => `${s}:${frets[s]}`).join(" ");
+    const cost = (maxFret - minFret) + fingers * 0.5 - sounded.length * 1.5;
+    if (!found.has(key)) found.set(key, { frets: { ...frets }, minFret, maxFret, cost });
+  }
+
+  for (let base = 1; base <= 12; base++) {
+    const hi = base + 3;
+    const frets = {};
+
+    // Strings low to high: muted before the block, sounded inside it, muted after
+    function dfs(s, state) {
+      if (s < 1) {
+        evaluate(frets);
+        return;
+      }
+      if (state !== "inside") dfs(s - 1, state);
+      else dfs(s - 1, "after");
+      if (state === "after") return;
+
+      for (let fret = 0; fret <= hi; fret++) {
+        // Open strings only belong to first-position shapes
+        if (fret === 0 ? base > 1 : fret < base) continue;
+        if (!chordPcs.has(midiToPc(stringOpenMidi[s] + fret))) continue;
+        frets[s] = fret;
+        dfs(s - 1, "inside");
+        delete frets[s];
+      }
+    }
+    dfs(stringCount, "before");
+  }
+
+  // Best voicings first, skipping ones that sit where a better one already is
+  const picked = [];
+  [...found.values()]
+    .sort((a, b) => a.cost - b.cost)
+    .forEach(v => {
+      if (picked.length >= limit) return;
+      if (picked.some(p => Math.abs(p.minFret - v.minFret) < 3)) return;
+      picked.push(v);
+    });
+  return picked.sort((a, b) => a.minFret - b.minFret);
+}
+
+function renderChordDiagram(voicing) {
+  const gap = 14;
+  const fretGap = 18;
+  const frets = 4;
+  const left = 16;
+  const top = 22;
+  const width = left * 2 + (stringCount - 1) * gap;
+  const height = top + frets * fretGap + 10;
+  const baseFret = voicing.maxFret <= 4 ? 1 : voicing.minFret;
+
+  const svg = svgEl("svg", { width, height, viewBox: `0 0 ${width} ${height}` });
+  svg.setAttribute("class", "chord-diagram");
+
+  // Low string on the left, as chord charts are usually drawn
+  const stringX = s => left + (stringCount - s) * gap;
+
+  for (let f = 0; f <= frets; f++) {
+    svg.appendChild(svgEl("line", {
+      x1: left, y1: top + f * fretGap, x2: stringX(1), y2: top + f * fretGap,
+      stroke: "#0f172a",
+      "stroke-width": f === 0 && baseFret === 1 ? 3 : 1
+    }));
+  }
+  for (let s = 1; s <= stringCount; s++) {
+    svg.appendChild(svgEl("line", { x1: stringX(s), y1: top, x2: stringX(s), y2: top + frets * fretGap, stroke: "#0f172a", "stroke-width": 1 }));
+
+    const fret = voicing.frets[s];
+    if (fret === undefined || fret === 0) {
+      const mark = svgEl("text", { x: stringX(s), y: top - 6, "font-size": 11, "text-anchor": "middle", fill: "#0f172a" });
+      mark.textContent = fret === 0 ? "o" : "x";
+      svg.appendChild(mark);
+      continue;
+    }
+    svg.appendChild(svgEl("circle", {
+      cx: stringX(s),
+      cy: top + (fret - baseFret + 0.5) * fretGap,
+      r: 5.5,
+      fill: midiToPc(stringOpenMidi[s] + fret) === voicing.rootPc ? "#dc2626" : "#0f172a"
+    }));
+  }
+
+  if (baseFret > 1) {
+    const label = svgEl("text", { x: 2, y: top + fretGap * 0.5 + 4, "font-size": 10, fill: "#0f172a" });
+    label.textContent = String(baseFret);
+    svg.appendChild(label);
+  }
+  return svg;
+}
+
+function renderTabChord(containerEl, voicing) {
+  const width = 110;
+  const height = 150 + (stringCount - 6) * 13;
+  const renderer = new Renderer(containerEl, Renderer.Backends.SVG);
+  renderer.resize(width, height);
+  const ctx = renderer.getContext();
+
+  const stave = new TabStave(0, 10, width - 2).setNumLines(stringCount);
+  stave.setContext(ctx).draw();
+
+  const positions = Object.keys(voicing.frets).map(s => ({ str: Number(s), fret: voicing.frets[s] }));
+  const note = new TabNote({ positions, duration: "w" });
+  const voice = new Voice({ num_beats: 4, beat_value: 4 }).setStrict(false);
+  voice.addTickables([note]);
+  new Formatter().joinVoices([voice]).format([voice], width - 40);
+  voice.draw(ctx, stave);
+}
+
+function renderChordCard(parent, chord, numeral, rootName, rootPc) {
+  const card = document.createElement("div");
+  card.className = "chord-card";
+
+  const title = document.createElement("div");
+  title.className = "chord-card-title";
+  title.textContent = `${numeral}  ${rootName}${chord.suffix}`;
+  const quality = document.createElement("div");
+  quality.className = "helper";
+  quality.textContent = CHORD_QUALITY_NAMES[chord.suffix] || "";
+  card.appendChild(title);
+  card.appendChild(quality);
+
+  const voicings = findChordVoicings(rootPc, chord.tones);
+  if (voicings.length === 0) {
+    const none = document.createElement("div");
+    none.className = "helper";
+    none.textContent = "No playable voicing found";
+    card.appendChild(none);
+  }
+
+  voicings.forEach(v => {
+    v.rootPc = rootPc;
+    const row = document.createElement("div");
+    row.className = "chord-voicing";
+    row.appendChild(renderChordDiagram(v));
+
+    const tabMount = document.createElement("div");
+    row.appendChild(tabMount);
+    renderTabChord(tabMount, v);
+
+    const playBtn = document.createElement("button");
+    playBtn.type = "button";
+    playBtn.textContent = "\u25B6";
+    playBtn.title = "Play voicing";
+    playBtn.addEventListener("click", () => {
+      const midis = Object.keys(v.frets)
+        .map(Number)
+        .sort((a, b) => b - a)
+        .map(s => stringOpenMidi[s] + v.frets[s]);
+      AudioEngine.playChord(midis);
+    });
+    row.appendChild(playBtn);
+    card.appendChild(row);
+  });
+
+  parent.appendChild(card);
+}
+
+// Lists the diatonic triads and 7ths with voicings. Only drawn while the
+// panel is open, since voicing search and VexFlow rendering add up.
+function renderHarmonyPanel(keyName, scaleName) {
+  const panel = document.getElementById("harmonyPanel");
+  const mount = document.getElementById("harmonyMount");
+  const summary = panel ? panel.querySelector("summary") : null;
+  if (!panel || !mount) return;
+
+  if (summary) summary.textContent = `Chords in ${keyName} ${scaleName}`;
+  mount.innerHTML = "";
+  if (!panel.open) return;
+
+  const intervals = scaleIntervalsFor(scaleName);
+  if (!intervals || intervals.length !== 7 || !currentSpelling) {
+    const msg = document.createElement("div");
+    msg.className = "helper";
+    msg.textContent = `${keyName} ${scaleName} is not a seven-note scale, so no diatonic harmonization applies.`;
+    mount.appendChild(msg);
+    return;
+  }
+
+  [["Triads", false], ["7th chords", true]].forEach(([label, withSeventh]) => {
+    const heading = document.createElement("div");
+    heading.className = "control-label";
+    heading.textContent = label;
+    mount.appendChild(heading);
+
+    const grid = document.createElement("div");
+    grid.className = "chord-grid";
+    buildDiatonicChords(intervals, withSeventh).forEach(chord => {
+      const i = chord.degreeIndex;
+      const rootPc = (PC_TO_INDEX[keyName] + intervals[i]) % 12;
+      const numeral = romanNumeralFor(currentSpelling.degrees[i], chord);
+      renderChordCard(grid, chord, numeral, currentSpelling.notes[i].name, rootPc);
+    });
+    mount.appendChild(grid);
+  });
+}
+
+// ---------------------------
+// Backing drone and chord vamp
+// ---------------------------
+
+const BACKING_MODES = ["off", "drone", "fifth", "vamp"];
+
+// Two-chord vamps by scale degree (0 = tonic) that bring out each mode's colour note
+const BACKING_VAMPS = {
+  "Major": [0, 3], "Ionian": [0, 3], "Dorian": [0, 3], "Phrygian": [0, 1],
+  "Lydian": [0, 1], "Mixolydian": [0, 6], "Minor": [0, 5], "Aeolian": [0, 5],
+  "Locrian": [0, 1], "Harmonic Minor": [0, 4], "Melodic Minor": [0, 3],
+};
+
+// Backing bass note for a pitch class, E2 up to D#3
+function backingBassMidi(pc) {
+  return 40 + (pc - 4 + 12) % 12;
+}
+
+// Triads for the vamp. Scales without an entry pair the tonic with the major or
+// minor triad on the 4th, else the 5th, else any other.
+function backingVampChords(scaleName, intervals) {
+  const chords = buildDiatonicChords(intervals, false);
+  const byDegree = new Map(chords.map(chord => [chord.degreeIndex, chord]));
+  const degrees = BACKING_VAMPS[scaleName];
+  if (degrees && degrees.every(d => byDegree.has(d))) return degrees.map(d => byDegree.get(d));
+
+  const tonic = byDegree.get(0);
+  if (!tonic) return [];
+  const plain = chords.filter(chord => chord.degreeIndex !== 0 && (chord.suffix === "" || chord.suffix === "m"));
+  const partner = [5, 7].map(iv => plain.find(chord => intervals[chord.degreeIndex] === iv)).find(Boolean) || plain[0];
+  return partner ? [tonic, partner] : [tonic];
+}
+
+// { chords: [[midi, ...], ...], label } for AudioEngine.setBacking; the label names
+// what plays, e.g. "i Dm – IV G". A scale with no tonic triad falls back to root + 5th.
+function backingFor(keyName, scaleName, mode) {
+  const rootPc = PC_TO_INDEX[keyName];
+  const intervals = scaleIntervalsFor(scaleName);
+  if (mode === "off" || rootPc === undefined || !intervals || !currentSpelling) return { chords: [], label: "" };
+
+  const bass = backingBassMidi(rootPc);
+  const rootName = currentSpelling.notes[0].name;
+  const vamp = mode === "vamp" ? backingVampChords(scaleName, intervals) : [];
+  if (mode === "drone") return { chords: [[bass, bass + 12]], label: `${rootName} drone` };
+  if (vamp.length === 0) return { chords: [[bass, bass + 7, bass + 12]], label: `${rootName}5 drone` };
+
+  return {
+    chords: vamp.map(chord => {
+      const chordBass = backingBassMidi((rootPc + intervals[chord.degreeIndex]) % 12);
+      return [chordBass, ...chord.tones.map(t => chordBass + 12 + t)];
+    }),
+    label: vamp.map(chord => {
+      const i = chord.degreeIndex;
+      return `${romanNumeralFor(currentSpelling.degrees[i], chord)} ${currentSpelling.notes[i].name}${chord.suffix}`;
+    }).join(" – ")
+  };
+}
+
+// Sends the selected backing for the current key and scale to the engine
+function updateBacking() {
+  const keySelect = document.getElementById("keySelect");
+  const scaleSelect = document.getElementById("scaleSelect");
+  const backingSelect = document.getElementById("backingSelect");
+  const backingVolumeInput = document.getElementById("backingVolumeInput");
+  const backingChords = document.getElementById("backingChords");
+  if (!keySelect || !scaleSelect || !backingSelect) return;
+
+  const mode = BACKING_MODES.includes(backingSelect.value) ? backingSelect.value : "off";
+  const { chords, label } = backingFor(keySelect.value, scaleSelect.value, mode);
+  AudioEngine.setBacking({
+    chords,
+    volume: backingVolumeInput ? Number(backingVolumeInput.value) / 100 : 0.5
+  });
+  if (backingChords) backingChords.textContent = label;
+}
+
+// ---------------------------
+// Rhythm: bars, beams and tuplets
+// ---------------------------
+
+const BEATS_PER_BAR = 4;
+const TIME_SIGNATURE = "4/4";
+
+// perBeat: notes per quarter-note beat; duration: VexFlow duration of one note
+const SUBDIVISIONS = {
+  quarter: { label: "Quarter notes", perBeat: 1, duration: "q" },
+  eighth: { label: "Eighth notes", perBeat: 2, duration: "8", beamed: true },
+  triplet: { label: "Eighth triplets", perBeat: 3, duration: "8", beamed: true, tuplet: true },
+  sixteenth: { label: "Sixteenth notes", perBeat: 4, duration: "16", beamed: true },
+};
+
+// Splits notes into bars of the current subdivision. The last bar is padded
+// with null (a rest) so every bar is full, in notation and in playback.
+function buildMeasures(notesData) {
+  const perBar = BEATS_PER_BAR * SUBDIVISIONS[currentSubdivision].perBeat;
+  const bars = [];
+  for (let i = 0; i < notesData.length; i += perBar) {
+    const bar = notesData.slice(i, i + perBar);
+    while (bar.length < perBar) bar.push(null);
+    bars.push(bar);
+  }
+  return bars;
+}
+
+// Splits a bar into beats for one staff. makeNote returns null for slots the
+// staff does not play; a beat with nothing to play becomes one quarter rest
+// instead of a row of short ones.
+function staffBeats(bar, makeNote, makeRest) {
+  const sub = SUBDIVISIONS[currentSubdivision];
+  const beats = [];
+  for (let i = 0; i < bar.length; i += sub.perBeat) {
+    const notes = bar.slice(i, i + sub.perBeat).map(makeNote);
+    if (notes.every(n => !n)) beats.push([makeRest("q")]);
+    else beats.push(notes.map(n => n || makeRest(sub.duration)));
+  }
+  return beats;
+}
+
+function isSoundingNote(note) {
+  return !(note instanceof GhostNote) && !note.isRest();
+}
+
+// Beams each beat's run of sounding notes and brackets triplets. Tuplets change
+// note ticks, so this must run before the notes are added to a voice; only the
+// returned ones need drawing.
+function groupRhythm(beats, tupletLocation, autoStem) {
+  const sub = SUBDIVISIONS[currentSubdivision];
+  const beams = [];
+  const tuplets = [];
+
+  beats.forEach(beat => {
+    if (sub.tuplet && beat.length === 3) {
+      const tuplet = new Tuplet(beat, { location: tupletLocation });
+      // No bracket over rests, or over tab's invisible padding notes
+      if (beat.some(isSoundingNote) && !beat.some(n => n instanceof GhostNote)) tuplets.push(tuplet);
+    }
+    if (!sub.beamed) return;
+
+    let run = [];
+    for (let k = 0; k <= beat.length; k++) {
+      if (k < beat.length && isSoundingNote(beat[k])) {
+        run.push(beat[k]);
+        continue;
+      }
+      if (run.length >= 2) beams.push(new Beam(run, autoStem));
+      run = [];
+    }
+  });
+  return { beams, tuplets };
+}
+
+// ---------------------------
+// Rendering
+// ---------------------------
+
+// ---------------------------
+// Systems: bars wrapped onto several staves
+// ---------------------------
+
+const MIN_NOTE_SPACING = 22; // px per note slot before a system wraps
+const BAR_PADDING = 12;
+const SYSTEM_HEADER_WIDTH = 110; // clef, key and time signature
+const TAB_LINE_SPACING = 13; // VexFlow default stave line spacing
+
+// Splits bars into systems that fit the width. Tab and staff use the same
+// breaks, so a bar sits in the same system in either view.
+function buildSystems(bars, width) {
+  const perBar = BEATS_PER_BAR * SUBDIVISIONS[currentSubdivision].perBeat;
+  const available = width - 20 - SYSTEM_HEADER_WIDTH;
+  const maxBars = Math.max(1, Math.floor(available / (perBar * MIN_NOTE_SPACING + BAR_PADDING)));
+
+  // Spread bars evenly rather than leaving a short last system
+  const count = Math.ceil(bars.length / maxBars);
+  const perSystem = Math.ceil(bars.length / count);
+  const systems = [];
+  for (let i = 0; i < bars.length; i += perSystem) systems.push(bars.slice(i, i + perSystem));
+  return systems;
+}
+
+// A short last system keeps the note spacing of the full ones instead of stretching
+function systemStaveWidth(fullWidth, systems, sysIdx) {
+  const bars = systems[sysIdx].length;
+  const fullBars = systems[0].length;
+  if (bars >= fullBars) return fullWidth;
+  return Math.round(SYSTEM_HEADER_WIDTH + (fullWidth - SYSTEM_HEADER_WIDTH) * (bars / fullBars));
+}
+
+function tabStaveHeight() {
+  return (stringCount - 1) * TAB_LINE_SPACING;
+}
+
+// Extra height per system for the fingering row under the tab
+function fingeringRowHeight() {
+  return showFingering ? 22 : 0;
+}
+
+// Fingering sits under the tab, below any stems, beams and tuplets
+function tabFingeringY(stave) {
+  return stave.getYForLine(stringCount - 1) + (SUBDIVISIONS[currentSubdivision].beamed ? 68 : 20);
+}
+
+// Tab notes for one system. noteIndex maps notesData order to the TabNote.
+function buildTabSystem(bars, firstIndex) {
+  const sub = SUBDIVISIONS[currentSubdivision];
+  const noteIndex = new Map();
+  let index = firstIndex;
+
+  function makeTabNote(n) {
+    // Stems (below the stave) only when there are beams to show the rhythm
+    const tn = new TabNote({
+      positions: [{ str: n.string, fret: n.fret }],
+      duration: sub.duration,
+      stem_direction: -1
+    }, !!sub.beamed);
+    const color = noteColorFor(n);
+    if (color) {
+      tn.setStyle({
+        fillStyle: color,
+        strokeStyle: color
+      });
+    }
+    const label = noteLabelFromNoteData(n);
+    if (label) {
+      const ann = new Annotation(label);
+      ann.setVerticalJustification(Annotation.VerticalJustify.TOP);
+      ann.setYShift(-20);
+      tn.addModifier(ann, 0);
+    }
+    if (n.pick) {
+      const symbol = n.pick === "down" ? "am" : "a|";
+      tn.addModifier(new Articulation(symbol).setPosition(Modifier.Position.ABOVE), 0);
+    }
+    const fingering = fingeringLabel(n);
+    if (fingering) {
+      const ann = new Annotation(fingering);
+      ann.setVerticalJustification(Annotation.VerticalJustify.BOTTOM);
+      tn.addModifier(ann, 0);
+      fingerings.push(ann);
+    }
+    return tn;
+  }
+
+  const fingerings = [];
+  const tickables = [];
+  const beams = [];
+  const tuplets = [];
+  bars.forEach((bar, barIdx) => {
+    if (barIdx > 0) tickables.push(new BarNote());
+    const beats = staffBeats(bar, n => {
+      if (!n) return null;
+      const tn = makeTabNote(n);
+      noteIndex.set(index++, tn);
+      return tn;
+    }, d => new GhostNote(d));
+
+    const grouped = groupRhythm(beats, Tuplet.LOCATION_BOTTOM, false);
+    beams.push(...grouped.beams);
+    tuplets.push(...grouped.tuplets);
+    tickables.push(...beats.flat());
+  });
+
+  const voice = new Voice({ num_beats: bars.length * BEATS_PER_BAR, beat_value: 4 }).addTickables(tickables);
+  return { voices: [voice], beams, tuplets, noteIndex, fingerings };
+}
+
+// Staff notes for one system; one voice per clef, resting while the other plays.
+// transpose writes the part that many semitones above sounding pitch.
+// noteIndex maps notesData order to the StaveNote, on whichever staff plays it.
+function buildStaffSystem(bars, clefs, transpose = 0, firstIndex = 0) {
+  const duration = SUBDIVISIONS[currentSubdivision].duration;
+  const split = clefs.length > 1;
+  const voicesNotes = clefs.map(() => []);
+  const beams = [];
+  const tuplets = [];
+  const noteIndex = new Map();
+
+  bars.forEach((bar, barIdx) => {
+    if (barIdx > 0) voicesNotes.forEach(notes => notes.push(new BarNote()));
+
+    clefs.forEach((clef, c) => {
+      // Accidentals last until the bar line
+      const accidentalFor = createAccidentalTracker();
+      const onThisStaff = midi => !split || (clef === "treble" ? midi >= 60 : midi < 60);
+      let index = firstIndex + barIdx * bar.length;
+
+      const beats = staffBeats(bar, n => {
+        const slot = index++;
+        if (!n) return null;
+        const midi = stringOpenMidi[n.string] + n.fret;
+        if (!onThisStaff(midi)) return null;
+
+        const spelled = spellMidi(midi + transpose);
+        const note = new StaveNote({ keys: [spelled.vexKey], duration, clef });
+        decorateStaveNote(note, n, accidentalFor(spelled));
+        noteIndex.set(slot, note);
+        return note;
+      }, d => new StaveNote({ keys: [clef === "treble" ? "b/4" : "d/3"], duration: d + "r", clef }));
+
+      const grouped = groupRhythm(beats, Tuplet.LOCATION_BOTTOM, true);
+      beams.push(...grouped.beams);
+      tuplets.push(...grouped.tuplets);
+      voicesNotes[c].push(...beats.flat());
+    });
+  });
+
+  const numBeats = bars.length * BEATS_PER_BAR;
+  const voices = voicesNotes.map(notes => new Voice({ num_beats: numBeats, beat_value: 4 }).addTickables(notes));
+  return { voices, beams, tuplets, noteIndex };
+}
+
+// Collects a system's notes by notesData index, for the playback cursor
+function addCursorNotes(cursorNotes, noteIndex) {
+  noteIndex.forEach((note, i) => cursorNotes.set(i, [...(cursorNotes.get(i) || []), note]));
+}
+
+function drawSystemExtras(ctx, system) {
+  system.beams.forEach(b => b.setContext(ctx).draw());
+  system.tuplets.forEach(t => t.setContext(ctx).draw());
+}
+
+// ---------------------------
+// Rendering: tab and staff
+// ---------------------------
+
+const TAB_SYSTEM_GAP = 70; // room above for labels and below for stems and tuplets
+
+// Returns the drawn notes by notesData index, for the playback cursor
+function renderTab(containerEl, notesData) {
+  containerEl.innerHTML = "";
+
+  const width = getRenderWidth(containerEl);
+  const systems = buildSystems(buildMeasures(notesData), width);
+  const systemHeight = tabStaveHeight() + TAB_SYSTEM_GAP + 40 + fingeringRowHeight();
+  const height = systems.length * systemHeight + 60;
+  const { ctx } = createResponsiveRenderer(containerEl, height);
+  const staveWidth = Math.max(120, width - 20);
+
+  // Notes drawn so far, by notesData index, for slides
+  const drawn = new Map();
+  const cursorNotes = new Map();
+  let firstIndex = 0;
+
+  systems.forEach((bars, sysIdx) => {
+    const y = 18 + sysIdx * systemHeight;
+    const stave = new TabStave(10, y, systemStaveWidth(staveWidth, systems, sysIdx)).setNumLines(stringCount);
+    stave.addClef("tab");
+    if (sysIdx === 0) stave.addTimeSignature(TIME_SIGNATURE);
+    stave.setContext(ctx).draw();
+
+    const system = buildTabSystem(bars, firstIndex);
+    new Formatter().joinVoices(system.voices).format(system.voices, noteAreaWidth(stave));
+    system.voices.forEach(v => v.draw(ctx, stave));
+    drawSystemExtras(ctx, system);
+
+    system.noteIndex.forEach((tn, i) => drawn.set(i, { tn, sysIdx }));
+    addCursorNotes(cursorNotes, system.noteIndex);
+    firstIndex += system.noteIndex.size;
+    alignAnnotationRow(containerEl, tabFingeringY(stave), system.fingerings);
+    alignAnnotationRow(containerEl, y + 14);
+  });
+
+  drawTabSlides(ctx, notesData, drawn);
+  drawTabLegato(ctx, notesData, drawn);
+  return cursorNotes;
+}
+
+// n.slide marks a slide from this note into the next one, when both share a system.
+// drawn maps notesData index => { tn, sysIdx }.
+function drawTabSlides(ctx, notesData, drawn) {
+  notesData.forEach((n, i) => {
+    const from = drawn.get(i);
+    const to = drawn.get(i + 1);
+    if (!n.slide || !from || !to || from.sysIdx !== to.sysIdx) return;
+    const direction = notesData[i + 1].fret > n.fret ? TabSlide.SLIDE_UP : TabSlide.SLIDE_DOWN;
+    new TabSlide({
+      first_note: from.tn,
+      last_note: to.tn,
+      first_indices: [0],
+      last_indices: [0]
+    }, direction).setContext(ctx).draw();
+  });
+}
+
+// n.legato marks a hammer-on or pull-off from the previous note, when both share a system
+function drawTabLegato(ctx, notesData, drawn) {
+  notesData.forEach((n, i) => {
+    const from = drawn.get(i - 1);
+    const to = drawn.get(i);
+    if (!n.legato || !from || !to || from.sysIdx !== to.sysIdx) return;
+    const notes = {
+      first_note: from.tn,
+      last_note: to.tn,
+      first_indices: [0],
+      last_indices: [0]
+    };
+    const tie = n.legato === "H" ? TabTie.createHammeron(notes) : TabTie.createPulloff(notes);
+    tie.setContext(ctx).draw();
+  });
+}
+
+// Accidental, root/compare colour, fingering and note label shared by the staff renderers
+function decorateStaveNote(staveNote, n, accidental) {
+  if (accidental) staveNote.addModifier(new Accidental(accidental), 0);
+  const fingering = fingeringLabel(n);
+  if (fingering) staveNote.addModifier(new FretHandFinger(fingering).setPosition(Modifier.Position.LEFT), 0);
+  const color = noteColorFor(n);
+  if (color) {
+    staveNote.setStyle({
+      fillStyle: color,
+      strokeStyle: color
+    });
+  }
+  const label = noteLabelFromNoteData(n);
+  if (label) {
+    const ann = new Annotation(label);
+    ann.setVerticalJustification(Annotation.VerticalJustify.TOP);
+    ann.setYShift(-18);
+    staveNote.addModifier(ann, 0);
+  }
+}
+
+const GRAND_STAFF_HEIGHT = 240;
+const BASS_STAFF_HEIGHT = 130;
+
+function renderGrandStaff(containerEl, notesData) {
+  containerEl.innerHTML = "";
+
+  const width = getRenderWidth(containerEl);
+  const systems = buildSystems(buildMeasures(notesData), width);
+  const { ctx } = createResponsiveRenderer(containerEl, systems.length * GRAND_STAFF_HEIGHT + 20);
+  const staveWidth = Math.max(180, width - 20);
+  const keySignature = currentSpelling ? currentSpelling.keySignature : "C";
+  const cursorNotes = new Map();
+  let firstIndex = 0;
+
+  systems.forEach((bars, sysIdx) => {
+    const y = 20 + sysIdx * GRAND_STAFF_HEIGHT;
+    const systemWidth = systemStaveWidth(staveWidth, systems, sysIdx);
+    const treble = new Stave(10, y, systemWidth).addClef("treble").addKeySignature(keySignature);
+    const bass = new Stave(10, y + 120, systemWidth).addClef("bass").addKeySignature(keySignature);
+    if (sysIdx === 0) {
+      treble.addTimeSignature(TIME_SIGNATURE);
+      bass.addTimeSignature(TIME_SIGNATURE);
+    }
+    Stave.formatBegModifiers([treble, bass]);
+    treble.setContext(ctx).draw();
+    bass.setContext(ctx).draw();
+    drawGrandStaffConnectors(ctx, treble, bass);
+
+    const system = buildStaffSystem(bars, ["treble", "bass"], 0, firstIndex);
+    new Formatter().format(system.voices, noteAreaWidth(treble));
+    system.voices[0].draw(ctx, treble);
+    system.voices[1].draw(ctx, bass);
+    drawSystemExtras(ctx, system);
+    addCursorNotes(cursorNotes, system.noteIndex);
+    firstIndex += system.noteIndex.size;
+
+    alignAnnotationRow(containerEl, y + 18);
+  });
+  return cursorNotes;
+}
+
+function drawGrandStaffConnectors(ctx, treble, bass) {
+  const brace = new StaveConnector(treble, bass);
+  brace.setType(StaveConnector.type.BRACE);
+  brace.setContext(ctx).draw();
+
+  const left = new StaveConnector(treble, bass);
+  left.setType(StaveConnector.type.SINGLE_LEFT);
+  left.setContext(ctx).draw();
+
+  const right = new StaveConnector(treble, bass);
+  right.setType(StaveConnector.type.SINGLE_RIGHT);
+  right.setContext(ctx).draw();
+}
+
+// Bass guitar: single bass staff, written an octave above sounding pitch
+function renderBassStaff(containerEl, notesData) {
+  containerEl.innerHTML = "";
+
+  const width = getRenderWidth(containerEl);
+  const systems = buildSystems(buildMeasures(notesData), width);
+  const { ctx } = createResponsiveRenderer(containerEl, systems.length * BASS_STAFF_HEIGHT + 20);
+  const staveWidth = Math.max(180, width - 20);
+  const keySignature = currentSpelling ? currentSpelling.keySignature : "C";
+
+  const cursorNotes = new Map();
+  let firstIndex = 0;
+
+  systems.forEach((bars, sysIdx) => {
+    const y = 20 + sysIdx * BASS_STAFF_HEIGHT;
+    const bass = new Stave(10, y, systemStaveWidth(staveWidth, systems, sysIdx)).addClef("bass").addKeySignature(keySignature);
+    if (sysIdx === 0) bass.addTimeSignature(TIME_SIGNATURE);
+    bass.setContext(ctx).draw();
+
+    const system = buildStaffSystem(bars, ["bass"], 12, firstIndex);
+    new Formatter().joinVoices(system.voices).format(system.voices, noteAreaWidth(bass));
+    system.voices[0].draw(ctx, bass);
+    drawSystemExtras(ctx, system);
+    addCursorNotes(cursorNotes, system.noteIndex);
+    firstIndex += system.noteIndex.size;
+
+    alignAnnotationRow(containerEl, y + 18);
+  });
+  return cursorNotes;
+}
+
+// Staff (grand staff, or bass staff for bass) above tab, one shared Formatter per system
+function renderCombined(containerEl, notesData) {
+  containerEl.innerHTML = "";
+
+  const isBass = currentInstrument.clef === "bass";
+  const staffHeight = isBass ? BASS_STAFF_HEIGHT : GRAND_STAFF_HEIGHT;
+  const systemHeight = staffHeight + tabStaveHeight() + TAB_SYSTEM_GAP + 54 + fingeringRowHeight();
+
+  const width = getRenderWidth(containerEl);
+  const systems = buildSystems(buildMeasures(notesData), width);
+  const { ctx } = createResponsiveRenderer(containerEl, systems.length * systemHeight + 20);
+  const staveWidth = Math.max(180, width - 20);
+  const keySignature = currentSpelling ? currentSpelling.keySignature : "C";
+
+  const drawn = new Map();
+  const cursorNotes = new Map();
+  let firstIndex = 0;
+
+  systems.forEach((bars, sysIdx) => {
+    const y = 20 + sysIdx * systemHeight;
+    const systemWidth = systemStaveWidth(staveWidth, systems, sysIdx);
+
+    const clefs = isBass ? ["bass"] : ["treble", "bass"];
+    const staves = clefs.map((clef, c) => new Stave(10, y + c * 120, systemWidth).addClef(clef).addKeySignature(keySignature));
+    const tabStave = new TabStave(10, y + staffHeight - 4, systemWidth).setNumLines(stringCount).addClef("tab");
+    if (sysIdx === 0) [...staves, tabStave].forEach(st => st.addTimeSignature(TIME_SIGNATURE));
+
+    // Same note start on every stave, so the shared Formatter lines notes up
+    Stave.formatBegModifiers([...staves, tabStave]);
+    [...staves, tabStave].forEach(st => st.setContext(ctx).draw());
+
+    const top = staves[0];
+    if (!isBass) drawGrandStaffConnectors(ctx, staves[0], staves[1]);
+    const bracket = new StaveConnector(top, tabStave);
+    bracket.setType(StaveConnector.type.BRACKET);
+    bracket.setContext(ctx).draw();
+    const line = new StaveConnector(top, tabStave);
+    line.setType(StaveConnector.type.SINGLE_LEFT);
+    line.setContext(ctx).draw();
+
+    const staff = buildStaffSystem(bars, clefs, isBass ? 12 : 0, firstIndex);
+    const tab = buildTabSystem(bars, firstIndex);
+    new Formatter().format([...staff.voices, ...tab.voices], noteAreaWidth(tabStave));
+
+    staff.voices.forEach((v, c) => v.draw(ctx, staves[c]));
+    drawSystemExtras(ctx, staff);
+    alignAnnotationRow(containerEl, y + 18);
+
+    tab.voices.forEach(v => v.draw(ctx, tabStave));
+    drawSystemExtras(ctx, tab);
+    alignAnnotationRow(containerEl, tabFingeringY(tabStave), tab.fingerings);
+    alignAnnotationRow(containerEl, y + staffHeight + 10);
+
+    tab.noteIndex.forEach((tn, i) => drawn.set(i, { tn, sysIdx }));
+    addCursorNotes(cursorNotes, staff.noteIndex);
+    addCursorNotes(cursorNotes, tab.noteIndex);
+    firstIndex += tab.noteIndex.size;
+  });
+
+  drawTabSlides(ctx, notesData, drawn);
+  drawTabLegato(ctx, notesData, drawn);
+  return cursorNotes;
+}
+
+// ===========================
+// Audio Engine
+// ===========================
+
+const AudioEngine = (() => {
+  // Lookahead scheduling: a timer wakes every LOOKAHEAD_MS and queues every note
+  // due in the next SCHEDULE_AHEAD_SEC against audioCtx.currentTime, so timer
+  // jitter never reaches the audio. Hidden tabs throttle timers, so they queue further ahead.
+  const LOOKAHEAD_MS = 25;
+  const SCHEDULE_AHEAD_SEC = 0.1;
+  const HIDDEN_SCHEDULE_AHEAD_SEC = 1.5;
+
+  // The section slider covers 40-200; the speed trainer may go beyond it
+  const MIN_BPM = 30;
+  const MAX_BPM = 300;
+
+  // Backing pad: fade time for each chord, and the low-pass that softens the saws
+  const PAD_FADE_SEC = 0.12;
+  const PAD_CUTOFF_HZ = 900;
+
+  // Click sounds: an accented downbeat is higher and louder
+  const CLICK_SOUNDS = {
+    woodblock: { wave: "triangle", freq: 1200, accentFreq: 1800, length: 0.05 },
+    beep: { wave: "square", freq: 880, accentFreq: 1320, length: 0.06 },
+    hihat: { noise: true, filter: 7000, length: 0.04 },
+  };
+
+  let audioCtx = null;
+  let isPlaying = false;
+  let currentVoices = [];
+  let playbackTimer = null;
+  let currentSequence = [];
   let currentIndex = 0;
   let bpm = 120;
+  let pendingBpm = null;
+  let slotsPerBeat = 1;
+  let nextNoteTime = 0;
   let currentPlayingButton = null;
 
+  // sound: a key of CLICK_SOUNDS or "off"; the count-in clicks even when off
+  let metronome = { sound: "off", countInBars: 0, volume: 0.6 };
+  let metronomeGain = null;
+  let noiseBuffer = null;
+  let countInBeats = 0;
+
+  // Speed trainer: loops played, silent beats before the next loop, and the
+  // tempo ramp { targetBpm, increment, loopsPerStep } or null for a fixed tempo
+  let loopsPlayed = 0;
+  let restBeats = 0;
+  let restBar = false;
+  let ramp = null;
+  let onLoopCallback = null;
+
+  // Whatever the caller passed as opts.owner, so a re-rendered section can find its sequence
+  let playOwner = null;
+
+  // Backing: chords are midi lists, one per bar in turn; a single chord is a drone
+  let backing = { chords: [], volume: 0.5 };
+  let backingGain = null;
+  let padVoice = null;
+  let padChordIndex = -1;
+  let backingBar = 0;
+
+  // Slots queued for the cursor, { index, time }, shown once the audio clock reaches them
+  let cursorQueue = [];
+  let onSlotCallback = null;
+  let cursorFrame = null;
+
   function ensureAudioContext() {
     if (!audioCtx) {
       audioCtx = new (window.AudioContext || window.webkitAudioContext)();
     }
+    if (audioCtx.state === "suspended") audioCtx.resume();
     return audioCtx;
   }
 
-  function midiToFrequency(midi) {
-    return 440 * Math.pow(2, (midi - 69) / 12);
+  function clampBpm(value) {
+    return Math.max(MIN_BPM, Math.min(MAX_BPM, value || 120));
   }
 
   function noteOffAll() {
-    currentOscillators.forEach(osc => {
-      if (osc) {
-        try { osc.stop(); } catch (e) {}
-      }
-    });
-    currentGains.forEach(gain => {
-      if (gain) {
-        try { gain.gain.cancelScheduledValues(audioCtx.currentTime); } catch (e) {}
-      }
-    });
-    currentOscillators = [];
-    currentGains = [];
+    currentVoices.forEach(voice => voice.stop());
+    currentVoices = [];
+  }
+
+  function playNote(midi, durationMs, delaySec = 0) {
+    const ctx = ensureAudioContext();
+    scheduleTone(midi, ctx.currentTime + delaySec, durationMs / 1000);
   }
 
-  function playNote(midi, durationMs) {
+  // when: start time on the audio clock, in seconds
+  function scheduleTone(midi, when, duration) {
     const ctx = ensureAudioContext();
-    const freq = midiToFrequency(midi);
-    const now = ctx.currentTime;
-    const duration = durationMs / 1000;
-    const attackTime = 0.01;
-    const releaseTime = 0.05;
+    const voice = GuitarSynth.pluck(ctx, midi, when, duration);
+    currentVoices.push(voice);
+    // Long loops would otherwise keep every finished note around
+    voice.source.onended = () => {
+      currentVoices = currentVoices.filter(v => v !== voice);
+    };
+  }
 
-    const osc = ctx.createOscillator();
-    osc.type = "sine";
-    osc.frequency.value = freq;
+  // Clicks go through their own gain node, so their volume is independent of the notes
+  function metronomeOutput() {
+    const ctx = ensureAudioContext();
+    if (!metronomeGain) {
+      metronomeGain = ctx.createGain();
+      metronomeGain.connect(ctx.destination);
+    }
+    metronomeGain.gain.value = metronome.volume;
+    return metronomeGain;
+  }
 
+  // The backing also has its own gain node, its mix level
+  function backingOutput() {
+    const ctx = ensureAudioContext();
+    if (!backingGain) {
+      backingGain = ctx.createGain();
+      backingGain.connect(ctx.destination);
+    }
+    backingGain.gain.value = backing.volume;
+    return backingGain;
+  }
+
+  // Each pitch is a pair of slightly detuned saws; the chord fades in at `when`
+  // and fades out from stop(at)
+  function startPadVoice(midis, when) {
+    const ctx = ensureAudioContext();
+    const peak = 0.3 / (midis.length * 2);
     const gain = ctx.createGain();
-    gain.gain.setValueAtTime(0, now);
-    gain.gain.linearRampToValueAtTime(0.3, now + attackTime);
-    gain.gain.setValueAtTime(0.3, now + Math.max(attackTime, duration - releaseTime));
-    gain.gain.linearRampToValueAtTime(0, now + duration);
+    gain.gain.setValueAtTime(0, when);
+    gain.gain.linearRampToValueAtTime(peak, when + PAD_FADE_SEC);
+    gain.connect(backingOutput());
+
+    const lowpass = ctx.createBiquadFilter();
+    lowpass.type = "lowpass";
+    lowpass.frequency.value = PAD_CUTOFF_HZ;
+    lowpass.connect(gain);
+
+    const oscillators = midis.flatMap(midi => [-7, 7].map(cents => {
+      const osc = ctx.createOscillator();
+      osc.type = "sawtooth";
+      osc.frequency.value = 440 * Math.pow(2, (midi - 69) / 12);
+      osc.detune.value = cents;
+      osc.connect(lowpass);
+      osc.start(when);
+      return osc;
+    }));
+
+    return {
+      stop(at = ctx.currentTime) {
+        try {
+          gain.gain.cancelScheduledValues(at);
+          gain.gain.setTargetAtTime(0, at, PAD_FADE_SEC / 3);
+          oscillators.forEach(osc => osc.stop(at + PAD_FADE_SEC * 2));
+        } catch (e) {}
+      },
+    };
+  }
+
+  // Called on every bar line (and when playback starts mid-bar); moves the
+  // backing on to the next chord, leaving a held chord alone
+  function scheduleBackingBar(when) {
+    if (!backing.chords.length) return;
+    const chordIndex = backingBar % backing.chords.length;
+    backingBar++;
+    if (padVoice && chordIndex === padChordIndex) return;
+    if (padVoice) padVoice.stop(when);
+    padVoice = startPadVoice(backing.chords[chordIndex], when);
+    padChordIndex = chordIndex;
+  }
 
-    osc.connect(gain);
-    gain.connect(ctx.destination);
-    osc.start(now);
-    osc.stop(now + duration);
+  function stopBacking() {
+    if (padVoice) padVoice.stop();
+    padVoice = null;
+    padChordIndex = -1;
+  }
 
-    currentOscillators.push(osc);
-    currentGains.push(gain);
+  function whiteNoise(ctx) {
+    if (!noiseBuffer) {
+      noiseBuffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * 0.1), ctx.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    return noiseBuffer;
+  }
+
+  function scheduleClick(when, accent, soundName = metronome.sound) {
+    const ctx = ensureAudioContext();
+    const sound = CLICK_SOUNDS[soundName] || CLICK_SOUNDS.woodblock;
+    const level = accent ? 1 : 0.55;
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(level, when);
+    gain.gain.exponentialRampToValueAtTime(0.001, when + sound.length);
+    gain.connect(metronomeOutput());
+
+    let source;
+    if (sound.noise) {
+      source = ctx.createBufferSource();
+      source.buffer = whiteNoise(ctx);
+      const highpass = ctx.createBiquadFilter();
+      highpass.type = "highpass";
+      highpass.frequency.value = accent ? sound.filter * 0.8 : sound.filter;
+      source.connect(highpass);
+      highpass.connect(gain);
+    } else {
+      source = ctx.createOscillator();
+      source.type = sound.wave;
+      source.frequency.value = accent ? sound.accentFreq : sound.freq;
+      source.connect(gain);
+    }
+    source.start(when);
+    source.stop(when + sound.length);
+
+    const voice = { source, stop: () => { try { source.stop(); } catch (e) {} } };
+    currentVoices.push(voice);
+    source.onended = () => {
+      currentVoices = currentVoices.filter(v => v !== voice);
+    };
   }
 
   function resetPreviousButton() {
@@ -596,7 +2554,96 @@ const AudioEngine = (() => {
     }
   }
 
-  function playSequence(notesData, newBpm, playButton) {
+  function slotDuration() {
+    return 60 / bpm / slotsPerBeat;
+  }
+
+  function scheduler() {
+    if (!isPlaying) return;
+
+    const ahead = document.hidden ? HIDDEN_SCHEDULE_AHEAD_SEC : SCHEDULE_AHEAD_SEC;
+    while (nextNoteTime < audioCtx.currentTime + ahead) {
+      const onBeat = countInBeats > 0 || currentIndex % slotsPerBeat === 0;
+      // A tempo change waits for the next beat, so a beat is never split across tempos
+      if (pendingBpm !== null && onBeat) {
+        bpm = pendingBpm;
+        pendingBpm = null;
+      }
+
+      if (countInBeats > 0) {
+        scheduleClick(nextNoteTime, countInBeats % BEATS_PER_BAR === 0, metronome.sound);
+        nextNoteTime += 60 / bpm;
+        countInBeats--;
+        continue;
+      }
+
+      // The rest bar only clicks when the click is on
+      if (restBeats > 0) {
+        if (restBeats === BEATS_PER_BAR) scheduleBackingBar(nextNoteTime);
+        if (CLICK_SOUNDS[metronome.sound]) scheduleClick(nextNoteTime, restBeats % BEATS_PER_BAR === 0);
+        nextNoteTime += 60 / bpm;
+        restBeats--;
+        continue;
+      }
+
+      if (onBeat && CLICK_SOUNDS[metronome.sound]) {
+        scheduleClick(nextNoteTime, (currentIndex / slotsPerBeat) % BEATS_PER_BAR === 0);
+      }
+      if (!padVoice || currentIndex % (slotsPerBeat * BEATS_PER_BAR) === 0) scheduleBackingBar(nextNoteTime);
+      const note = currentSequence[currentIndex];
+      if (note) {
+        const midi = stringOpenMidi[note.string] + note.fret;
+        scheduleTone(midi, nextNoteTime, slotDuration() * 0.8);
+      }
+      if (onSlotCallback) cursorQueue.push({ index: currentIndex, time: nextNoteTime });
+      nextNoteTime += slotDuration();
+      currentIndex = (currentIndex + 1) % currentSequence.length;
+      if (currentIndex === 0) finishLoop();
+    }
+    playbackTimer = setTimeout(scheduler, LOOKAHEAD_MS);
+  }
+
+  // Runs at each wrap of the sequence, which always falls on a bar line
+  function finishLoop() {
+    loopsPlayed++;
+    if (ramp && loopsPlayed % ramp.loopsPerStep === 0 && bpm !== ramp.targetBpm) {
+      const step = bpm < ramp.targetBpm ? ramp.increment : -ramp.increment;
+      bpm = step > 0 ? Math.min(ramp.targetBpm, bpm + step) : Math.max(ramp.targetBpm, bpm + step);
+      pendingBpm = null;
+    }
+    if (restBar) restBeats = BEATS_PER_BAR;
+    reportLoop();
+  }
+
+  function reportLoop() {
+    if (!onLoopCallback) return;
+    onLoopCallback({
+      bpm: pendingBpm !== null ? pendingBpm : bpm,
+      loop: loopsPlayed + 1,
+      targetBpm: ramp ? ramp.targetBpm : null,
+      stepLoop: ramp ? (loopsPlayed % ramp.loopsPerStep) + 1 : null,
+      loopsPerStep: ramp ? ramp.loopsPerStep : null
+    });
+  }
+
+  function updateCursor() {
+    if (!isPlaying) return;
+    let due = null;
+    while (cursorQueue.length && cursorQueue[0].time <= audioCtx.currentTime) due = cursorQueue.shift();
+    if (due) onSlotCallback(due.index);
+    cursorFrame = requestAnimationFrame(updateCursor);
+  }
+
+  // notesPerBeat splits each beat for eighths, triplets and sixteenths;
+  // null entries in notesData are rests.
+  // opts: { startIndex, onSlot(index), restBar, ramp, onLoop(status) }
+  // - onSlot follows the sound, and gets null on stop
+  // - restBar adds a silent bar between loops
+  // - ramp { targetBpm, increment, loopsPerStep } steps newBpm toward the
+  //   target after every loopsPerStep loops, then holds it
+  // - onLoop gets { bpm, loop, targetBpm, stepLoop, loopsPerStep } as each
+  //   loop is scheduled, and null on stop
+  function playSequence(notesData, newBpm, playButton, notesPerBeat = 1, opts = {}) {
     if (isPlaying) {
       stopPlayback();
     }
@@ -606,26 +2653,63 @@ const AudioEngine = (() => {
       return;
     }
 
-    bpm = Math.max(40, Math.min(200, newBpm || 120));
+    const ctx = ensureAudioContext();
+    bpm = clampBpm(newBpm);
+    pendingBpm = null;
+    slotsPerBeat = notesPerBeat;
     currentSequence = notesData;
-    currentIndex = 0;
+    currentIndex = Math.max(0, Math.min(notesData.length - 1, opts.startIndex || 0));
+    onSlotCallback = opts.onSlot || null;
+    cursorQueue = [];
+    countInBeats = metronome.countInBars * BEATS_PER_BAR;
+    loopsPlayed = 0;
+    restBeats = 0;
+    restBar = !!opts.restBar;
+    ramp = opts.ramp ? {
+      targetBpm: clampBpm(opts.ramp.targetBpm),
+      increment: Math.max(1, opts.ramp.increment || 1),
+      loopsPerStep: Math.max(1, opts.ramp.loopsPerStep || 1)
+    } : null;
+    onLoopCallback = opts.onLoop || null;
+    playOwner = opts.owner || null;
+    backingBar = 0;
+    nextNoteTime = ctx.currentTime + 0.05;
     isPlaying = true;
     currentPlayingButton = playButton;
 
-    const beatDurationMs = (60000 / bpm);
-
-    function scheduleNextNote() {
-      if (!isPlaying) return;
+    reportLoop();
+    scheduler();
+    if (onSlotCallback) updateCursor();
+  }
 
-      const note = currentSequence[currentIndex];
-      const midi = STRING_OPEN_MIDI[note.string] + note.fret;
-      playNote(midi, beatDurationMs * 0.8);
+  // opts: { sound, countInBars, volume (0..1) }; sound and volume apply while playing
+  function setMetronome(opts) {
+    metronome = { ...metronome, ...opts };
+    if (metronomeGain) metronomeGain.gain.value = metronome.volume;
+  }
 
-      currentIndex = (currentIndex + 1) % currentSequence.length;
-      playbackTimer = setTimeout(scheduleNextNote, beatDurationMs);
+  // opts: { chords: [[midi, ...], ...], volume (0..1) }. A new set of chords
+  // starts from the next note; volume applies at once.
+  function setBacking(opts) {
+    const chordsChanged = opts.chords && JSON.stringify(opts.chords) !== JSON.stringify(backing.chords);
+    backing = { ...backing, ...opts };
+    if (backingGain) backingGain.gain.value = backing.volume;
+    if (chordsChanged) {
+      stopBacking();
+      backingBar = 0;
     }
+  }
+
+  // Takes effect from the next beat of the running sequence
+  function setTempo(newBpm) {
+    if (!isPlaying) return;
+    pendingBpm = clampBpm(newBpm);
+  }
 
-    scheduleNextNote();
+  // Strums the pitches low to high, stopping any running sequence first
+  function playChord(midis, durationMs = 1600) {
+    stopPlayback();
+    midis.forEach((midi, i) => playNote(midi, durationMs, i * 0.03));
   }
 
   function stopPlayback() {
@@ -635,21 +2719,64 @@ const AudioEngine = (() => {
       playbackTimer = null;
     }
     noteOffAll();
+    stopBacking();
     resetPreviousButton();
+    if (cursorFrame) cancelAnimationFrame(cursorFrame);
+    cursorFrame = null;
+    cursorQueue = [];
+    if (onSlotCallback) onSlotCallback(null);
+    onSlotCallback = null;
+    if (onLoopCallback) onLoopCallback(null);
+    onLoopCallback = null;
+    playOwner = null;
   }
 
   function getIsPlaying() {
     return isPlaying;
   }
 
+  // True while the sequence started from this button is playing
+  function isPlayingFrom(button) {
+    return isPlaying && currentPlayingButton === button;
+  }
+
+  function getPlayOwner() {
+    return isPlaying ? playOwner : null;
+  }
+
+  function getTempo() {
+    return pendingBpm !== null ? pendingBpm : bpm;
+  }
+
+  // Hands the running sequence to a new button and callbacks; a callback the
+  // sequence was started without stays off
+  function rebindPlayback(playButton, callbacks) {
+    if (!isPlaying) return;
+    currentPlayingButton = playButton;
+    if (onSlotCallback && callbacks.onSlot) onSlotCallback = callbacks.onSlot;
+    if (onLoopCallback && callbacks.onLoop) {
+      onLoopCallback = callbacks.onLoop;
+      reportLoop();
+    }
+  }
+
   return {
     playSequence,
+    setTempo,
+    setMetronome,
+    setBacking,
+    playChord,
     stopPlayback,
     getIsPlaying,
+    isPlayingFrom,
+    getPlayOwner,
+    getTempo,
+    rebindPlayback,
   };
 })();
 
-function renderSection(parent, title, notesData, mode) {
+// opts.window: { minFret, maxFret } links the header to the neck diagram
+function renderSection(parent, title, notesData, mode, opts = {}) {
   const section = document.createElement("div");
   section.className = "section";
 
@@ -683,34 +2810,98 @@ function renderSection(parent, title, notesData, mode) {
 
   bpmInput.addEventListener("input", (e) => {
     bpmValue.textContent = e.target.value;
+    // Live tempo while this section is playing
+    if (AudioEngine.isPlayingFrom(playBtn)) AudioEngine.setTempo(parseInt(e.target.value, 10));
   });
 
   bpmLabel.appendChild(bpmText);
   bpmLabel.appendChild(bpmInput);
   bpmLabel.appendChild(bpmValue);
 
+  // Tempo and loop count while the speed trainer or a rest bar is on
+  const practiceStatus = document.createElement("span");
+  practiceStatus.style.cssText = "font-size: 12px; color: var(--muted); white-space: nowrap; font-variant-numeric: tabular-nums;";
+
+  const showPracticeStatus = status => {
+    if (!status) {
+      practiceStatus.textContent = "";
+      return;
+    }
+    const tempo = status.targetBpm !== null && status.bpm !== status.targetBpm
+      ? `\u2669 ${status.bpm} \u2192 ${status.targetBpm}`
+      : `\u2669 ${status.bpm}`;
+    const loop = status.loopsPerStep > 1 && status.bpm !== status.targetBpm
+      ? `loop ${status.loop} (${status.stepLoop}/${status.loopsPerStep})`
+      : `loop ${status.loop}`;
+    practiceStatus.textContent = `${tempo} \u00B7 ${loop}`;
+  };
+
+  // Drawn notes by notesData index, filled in once the notation is rendered
+  let cursorNotes = new Map();
+  let litNotes = [];
+
+  const noteElements = index => (cursorNotes.get(index) || [])
+    .map(note => mount.querySelector(`#vf-${note.getAttribute("id")}`))
+    .filter(Boolean);
+
+  // Highlights the sounding note on every stave; null clears
+  const showCursor = index => {
+    litNotes.forEach(el => el.classList.remove("playing"));
+    litNotes = index === null ? [] : noteElements(index);
+    litNotes.forEach(el => el.classList.add("playing"));
+    if (followPlayback && litNotes.length) scrollIntoViewIfHidden(litNotes[0]);
+  };
+
+  // Cursor for a run played from notesData[offset], `length` notes long
+  const cursorFor = (offset, length) => index => showCursor(index !== null && index < length ? index + offset : null);
+
+  const showPlaying = () => {
+    playBtn.textContent = "\u23F8";
+    playBtn.style.background = "transparent";
+    playBtn.style.border = "none";
+    playBtn.style.color = "#0f172a";
+  };
+
+  const startPlayback = (startIndex = 0) => {
+    const practice = readPracticeOptions();
+    const bpm = practice.ramp ? practice.ramp.startBpm : parseInt(bpmInput.value, 10);
+    // Play the padded bars so the loop keeps time with the notation; a one-way
+    // run is re-barred from its first note, offset keeps the cursor on the full run
+    const { notes, offset } = runDirectionSlice(notesData, practice.direction);
+    const slots = buildMeasures(notes).flat();
+    const seekIndex = startIndex - offset;
+    AudioEngine.playSequence(slots, bpm, playBtn, SUBDIVISIONS[currentSubdivision].perBeat, {
+      startIndex: seekIndex >= 0 && seekIndex < notes.length ? seekIndex : 0,
+      onSlot: cursorFor(offset, notes.length),
+      restBar: practice.restBar,
+      ramp: practice.ramp,
+      onLoop: practice.ramp || practice.restBar ? showPracticeStatus : null,
+      owner: { title, offset, length: notes.length, ramp: !!practice.ramp }
+    });
+    showPlaying();
+    if (followPlayback) scrollIntoViewIfHidden(section);
+  };
+
   playBtn.addEventListener("click", () => {
-    if (playBtn.textContent === "\u23F8") {
+    if (AudioEngine.isPlayingFrom(playBtn)) {
       AudioEngine.stopPlayback();
       playBtn.textContent = "\u25B6";
       playBtn.style.background = "transparent";
       playBtn.style.border = "none";
       playBtn.style.color = "#0f172a";
     } else {
-      const bpm = parseInt(bpmInput.value, 10);
-      AudioEngine.playSequence(notesData, bpm, playBtn);
-      playBtn.textContent = "\u23F8";
-      playBtn.style.background = "transparent";
-      playBtn.style.border = "none";
-      playBtn.style.color = "#0f172a";
+      startPlayback();
     }
   });
 
+  controls.appendChild(practiceStatus);
   controls.appendChild(playBtn);
   controls.appendChild(bpmLabel);
   header.appendChild(controls);
   section.appendChild(header);
 
+  if (opts.window) linkHeaderToNeck(header, opts.window);
+
   const body = document.createElement("div");
   body.className = "section-body";
   const mount = document.createElement("div");
@@ -719,26 +2910,141 @@ function renderSection(parent, title, notesData, mode) {
 
   parent.appendChild(section);
 
-  if (mode === "standard") renderGrandStaff(mount, notesData);
-  else renderTab(mount, notesData);
+  // Shifts and picking depend on play order, so they are marked after any sequence pattern
+  notesData = applyPicking(markHandShifts(notesData), currentPicking);
+  if (mode === "combined") {
+    cursorNotes = renderCombined(mount, notesData);
+  } else if (mode === "standard") {
+    if (currentInstrument.clef === "bass") cursorNotes = renderBassStaff(mount, notesData);
+    else cursorNotes = renderGrandStaff(mount, notesData);
+  } else {
+    cursorNotes = renderTab(mount, notesData);
+  }
+
+  // Clicking a note plays from there
+  cursorNotes.forEach((notes, index) => {
+    noteElements(index).forEach(el => {
+      el.classList.add("seekable");
+      el.addEventListener("click", () => startPlayback(index));
+    });
+  });
+
+  // Re-renders (resize, print) rebuild the section while it plays; take the sequence over
+  const owner = AudioEngine.getPlayOwner();
+  if (owner && owner.title === title) {
+    AudioEngine.rebindPlayback(playBtn, { onSlot: cursorFor(owner.offset, owner.length), onLoop: showPracticeStatus });
+    if (!owner.ramp) {
+      bpmInput.value = String(AudioEngine.getTempo());
+      bpmValue.textContent = bpmInput.value;
+    }
+    showPlaying();
+  }
+}
+
+// Every run is built ascending then descending, meeting at the top note
+// (or the top two, for even-length patterns). Returns the notes to play and
+// the index of the first one in notesData.
+function runDirectionSlice(notesData, direction) {
+  const half = notesData.length / 2;
+  if (direction === "up") return { notes: notesData.slice(0, Math.ceil(half)), offset: 0 };
+  if (direction === "down") return { notes: notesData.slice(Math.floor(half)), offset: Math.floor(half) };
+  return { notes: notesData, offset: 0 };
 }
 
-function updateBadge(key, scale) {
+// Smooth-scrolls el to the middle of the window unless it is already fully visible
+function scrollIntoViewIfHidden(el) {
+  const rect = el.getBoundingClientRect();
+  if (rect.top >= 0 && rect.bottom <= window.innerHeight) return;
+  el.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+function updateBadge(key, scale, setupLabel) {
+  const setupSuffix = setupLabel ? ` (${setupLabel})` : "";
+
   const badge = document.getElementById("keyScaleBadge");
-  if (badge) badge.textContent = `${key} · ${scale}`;
+  if (badge) badge.textContent = `${key} · ${scale}${setupSuffix}`;
   
   const printTitle = document.getElementById("printTitle");
-  if (printTitle) printTitle.textContent = `${key} ${scale}`;
+  if (printTitle) printTitle.textContent = `${key} ${scale}${setupSuffix}`;
 }
 
-let currentMode = "tab"; // default
+// Fills the tuning select with the instrument's tunings, keeping the current choice when it exists
+function populateTuningSelect(tuningSelect, instrument) {
+  const previous = tuningSelect.value;
+  tuningSelect.innerHTML = "";
+
+  [...Object.keys(instrument.tunings), "Custom"].forEach(name => {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = name === "Custom" ? "Custom…" : name;
+    tuningSelect.appendChild(opt);
+  });
+
+  const keep = previous === "Custom" || instrument.tunings[previous];
+  tuningSelect.value = keep ? previous : "Standard";
+}
+
+// Reads the instrument/tuning controls into the active instrument state and
+// returns a label for anything other than a standard-tuned 6-string guitar
+function applyInstrumentFromControls() {
+  const instrumentSelect = document.getElementById("instrumentSelect");
+  const tuningSelect = document.getElementById("tuningSelect");
+  const customTuningInput = document.getElementById("customTuningInput");
+  const tuningHelp = document.getElementById("tuningHelp");
+
+  const instrumentName = instrumentSelect && INSTRUMENTS[instrumentSelect.value] ? instrumentSelect.value : "Guitar";
+  currentInstrument = INSTRUMENTS[instrumentName];
+  const standardNames = standardTuningNames(currentInstrument);
+  stringCount = standardNames.length;
+  standardOpenMidi = tuningToOpenMidi(standardNames);
+
+  const choice = tuningSelect ? tuningSelect.value : "Standard";
+  const isCustom = choice === "Custom";
+
+  if (customTuningInput) {
+    customTuningInput.style.display = isCustom ? "" : "none";
+    customTuningInput.placeholder = standardNames.map(n => n.replace(/\d/g, "")).join(" ");
+  }
+  if (tuningHelp) tuningHelp.textContent = "";
+
+  let tuningLabel = "Standard";
+  stringOpenMidi = { ...standardOpenMidi };
+
+  if (isCustom) {
+    const parsed = parseCustomTuning(customTuningInput ? customTuningInput.value : "");
+    if (parsed.error) {
+      if (tuningHelp) tuningHelp.textContent = parsed.error;
+    } else {
+      stringOpenMidi = parsed.openMidi;
+      tuningLabel = parsed.label;
+    }
+  } else if (currentInstrument.tunings[choice]) {
+    stringOpenMidi = tuningToOpenMidi(currentInstrument.tunings[choice]);
+    tuningLabel = choice;
+  }
+
+  const parts = [];
+  if (instrumentName !== "Guitar") parts.push(instrumentName);
+  if (tuningLabel !== "Standard") parts.push(tuningLabel);
+  return parts.join(", ");
+}
+
+let currentMode = "tab"; // "tab" | "standard" | "combined"
 
 function renderApp() {
   const keySelect = document.getElementById("keySelect");
   const scaleSelect = document.getElementById("scaleSelect");
   const output = document.getElementById("output");
+  const systemSelect = document.getElementById("systemSelect");
   const rootToggle = document.getElementById("rootToggle");
-  const noteNameToggle = document.getElementById("noteNameToggle");
+  const labelModeSelect = document.getElementById("labelModeSelect");
+  const fingeringToggle = document.getElementById("fingeringToggle");
+  const pickingSelect = document.getElementById("pickingSelect");
+  const patternSelect = document.getElementById("patternSelect");
+  const viewSelect = document.getElementById("viewSelect");
+  const compareSelect = document.getElementById("compareSelect");
+  const subdivisionSelect = document.getElementById("subdivisionSelect");
+  const neckMount = document.getElementById("neckMount");
 
   if (!keySelect || !scaleSelect || !output) {
     throw new Error("Missing required elements: keySelect, scaleSelect, output.");
@@ -748,26 +3054,124 @@ function renderApp() {
     showRootNotes = rootToggle.checked;
   }
 
-  if (noteNameToggle) {
-    showNoteNames = noteNameToggle.checked;
+  if (labelModeSelect) {
+    noteLabelMode = labelModeSelect.value;
+  }
+
+  if (fingeringToggle) {
+    showFingering = fingeringToggle.checked;
+  }
+
+  if (pickingSelect && PICKING_MODES.includes(pickingSelect.value)) {
+    currentPicking = pickingSelect.value;
+  }
+
+  if (subdivisionSelect && SUBDIVISIONS[subdivisionSelect.value]) {
+    currentSubdivision = subdivisionSelect.value;
   }
 
+  const setupLabel = applyInstrumentFromControls();
+
   const key = keySelect.value;
   const scale = scaleSelect.value;
   const mode = currentMode;
-  updateBadge(key, scale);
+  const intervals = scaleIntervalsFor(scale);
+  const isPentatonic = (intervals || []).length === 5;
+  currentSpelling = intervals ? buildSpelling(key, intervals, scaleDegreesFor(scale)) : null;
+  updateBacking();
+  const positionSystem = systemSelect ? systemSelect.value : "3nps";
+  const patternName = patternSelect ? patternSelect.value : "straight";
+  const patternSuffix = patternName !== "straight" ? `  |  ${SEQUENCE_PATTERNS[patternName].label}` : "";
+  const view = viewSelect ? viewSelect.value : "scale";
+
+  if (compareSelect) syncCompareOptions(compareSelect, scaleSelect);
+  const compareScale = compareSelect && compareSelect.value !== scale ? compareSelect.value : "";
+  const compareIntervals = compareScale ? scaleIntervalsFor(compareScale) : null;
+  const primaryPcs = intervals ? buildPcSetForScale(key, intervals) : null;
+  const comparePcs = compareIntervals ? buildPcSetForScale(key, compareIntervals) : null;
+  // Overlay applies to scale positions; runs and arpeggios keep their own notes
+  const withCompare = p => (comparePcs && primaryPcs ? comparePosition(p, key, primaryPcs, comparePcs) : p);
+  const compareSuffix = comparePcs ? `  |  vs ${compareScale}` : "";
+  updateBadge(key, scale, setupLabel);
+
+  // Pentatonic scales have their own five boxes, so CAGED is not offered for them
+  const cagedOption = systemSelect ? systemSelect.querySelector('option[value="caged"]') : null;
+  if (cagedOption) cagedOption.disabled = isPentatonic;
+  const diagonalControls = document.getElementById("diagonalControls");
+  if (diagonalControls) diagonalControls.hidden = view !== "scale" || positionSystem !== "diagonal";
+  const arpeggioControls = document.getElementById("arpeggioControls");
+  if (arpeggioControls) arpeggioControls.hidden = view === "scale";
+  // Diagonal runs carry their own slides, so sequences only apply to positions
+  if (patternSelect) patternSelect.disabled = view === "scale" && positionSystem === "diagonal";
 
   output.innerHTML = "";
+  const instrumentSelect = document.getElementById("instrumentSelect");
+  const neckContext = [key, scale, positionSystem, instrumentSelect ? instrumentSelect.value : ""].join("|");
+  if (neckContext !== pinnedNeckContext) pinnedNeckWindow = null;
+  pinnedNeckContext = neckContext;
+  if (neckMount) {
+    renderNeck(neckMount, key, intervals, comparePcs);
+    highlightNeckWindow(null);
+  }
+  renderCompareLegend(comparePcs ? { primary: scale, secondary: compareScale } : null);
+  renderHarmonyPanel(key, scale);
+
+  if (view !== "scale") {
+    renderArpeggios(output, key, scale, positionSystem, view === "sevenths", patternName, mode);
+    return;
+  }
+
+  if (positionSystem === "diagonal") {
+    const opts = readDiagonalOptions();
+    const run = generateDiagonalRun(key, scale, opts);
+    if (!run) {
+      const msg = document.createElement("div");
+      msg.className = "helper";
+      msg.textContent = `A ${opts.octaves}-octave run of ${key} ${scale} from fret ${opts.startFret} runs off the neck. Try a lower start fret or fewer octaves.`;
+      output.appendChild(msg);
+      return;
+    }
+    renderSection(
+      output,
+      `${opts.octaves}-octave diagonal run | ${opts.notesPerString} notes per string | frets ${run.minFret}–${run.maxFret}`,
+      run.notesData,
+      mode,
+      { window: { minFret: run.minFret, maxFret: run.maxFret } }
+    );
+    return;
+  }
 
-  if (scale === "Minor Pentatonic") {
-    const boxes = generateAllMinorPentBoxes(key);
+  // Pentatonic scales always render as boxes
+  if (isPentatonic) {
+    const boxes = generatePentatonicBoxes(key, scale);
+    if (positionSystem === "caged") {
+      const msg = document.createElement("div");
+      msg.className = "helper";
+      msg.textContent = `Pentatonic scales use their five boxes rather than CAGED shapes, so ${key} ${scale} is shown as boxes.`;
+      output.appendChild(msg);
+    }
 
     boxes.forEach((b, idx) => {
+      const relative = b.minorBoxId ? ` (relative minor box ${b.minorBoxId})` : "";
       renderSection(
         output,
-        `Box ${b.id}  |  Position ${idx + 1}  |  frets ${b.minFret} to ${b.maxFret}`,
-        b.notesData,
-        mode
+        `Box ${b.id}${relative}  |  Position ${idx + 1}  |  frets ${b.minFret} to ${b.maxFret}${compareSuffix}${patternSuffix}`,
+        applySequencePattern(withCompare(b), patternName),
+        mode,
+        { window: { minFret: b.minFret, maxFret: b.maxFret } }
+      );
+    });
+    return;
+  }
+
+  if (positionSystem === "caged") {
+    generateCagedPositionsForScale(key, scale).forEach(p => {
+      renderSection(
+        output,
+        `${p.shape} shape | built around the ${p.chordLabel} | frets ${p.minFret}–${p.maxFret}${compareSuffix}${patternSuffix}`,
+        applySequencePattern(withCompare(p), patternName),
+        mode,
+        { window: { minFret: p.minFret, maxFret: p.maxFret } }
       );
     });
     return;
@@ -775,18 +3179,279 @@ function renderApp() {
 
   const positions = generate3NPSPositionsForScale(key, scale);
   if (positions.length === 0) {
-    throw new Error(`No 3NPS positions found for ${key} ${scale}.`);
+    // Custom scales can have gaps too wide for three notes per string
+    const msg = document.createElement("div");
+    msg.className = "helper";
+    msg.textContent = `No 3NPS positions found for ${key} ${scale}. Try the CAGED system.`;
+    output.appendChild(msg);
+    return;
   }
   positions.forEach((p, idx) => {
     renderSection(
       output,
-      `Position ${idx + 1} | frets ${p.minFret}–${p.maxFret}`,
-      p.notesData,
-      mode
+      `Position ${idx + 1} | frets ${p.minFret}–${p.maxFret}${compareSuffix}${patternSuffix}`,
+      applySequencePattern(withCompare(p), patternName),
+      mode,
+      { window: { minFret: p.minFret, maxFret: p.maxFret } }
+    );
+  });
+}
+
+// Colour key shown under the neck while a comparison is active
+function renderCompareLegend(names) {
+  const legend = document.getElementById("compareLegend");
+  if (!legend) return;
+  legend.innerHTML = "";
+  if (!names) return;
+
+  [["Shared", COMPARE_COLORS.shared], [`${names.primary} only`, COMPARE_COLORS.primary], [`${names.secondary} only`, COMPARE_COLORS.secondary]]
+    .forEach(([text, color]) => {
+      const item = document.createElement("span");
+      const swatch = document.createElement("span");
+      swatch.className = "swatch";
+      swatch.style.background = color;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(text));
+      legend.appendChild(item);
+    });
+}
+
+function renderArpeggios(output, key, scale, system, withSeventh, patternName, mode) {
+  const intervals = scaleIntervalsFor(scale);
+  const positions = positionsForSystem(key, scale, system);
+  const chords = intervals ? buildDiatonicChords(intervals, withSeventh) : [];
+
+  const positionSelect = document.getElementById("arpPositionSelect");
+  let positionIdx = 0;
+  if (positionSelect) {
+    const prev = positionSelect.value;
+    positionSelect.innerHTML = "";
+    positions.forEach((p, idx) => {
+      const opt = document.createElement("option");
+      opt.value = String(idx);
+      opt.textContent = p.id ? `Box ${p.id} (frets ${p.minFret}–${p.maxFret})` : `Position ${idx + 1} (frets ${p.minFret}–${p.maxFret})`;
+      positionSelect.appendChild(opt);
+    });
+    positionIdx = Number(prev) < positions.length ? Number(prev) : 0;
+    positionSelect.value = String(positionIdx);
+  }
+
+  const position = positions[positionIdx];
+  if (!position || chords.length === 0) {
+    const msg = document.createElement("div");
+    msg.className = "helper";
+    msg.textContent = `No ${withSeventh ? "7th" : "triad"} arpeggios found for ${key} ${scale}.`;
+    output.appendChild(msg);
+    return;
+  }
+
+  const patternSuffix = patternName !== "straight" ? `  |  ${SEQUENCE_PATTERNS[patternName].label}` : "";
+  chords.forEach(chord => {
+    const notesAsc = arpeggioNotesInPosition(position, key, intervals, chord);
+    if (notesAsc.length < 2) return;
+
+    const rootName = currentSpelling.notes[chord.degreeIndex].name;
+    const numeral = romanNumeralFor(currentSpelling.degrees[chord.degreeIndex], chord);
+    const arpeggio = { notesAsc, notesData: [...notesAsc, ...notesAsc.slice(0, -1).reverse()] };
+    renderSection(
+      output,
+      `${numeral}  |  ${rootName}${chord.suffix}  |  frets ${position.minFret}–${position.maxFret}${patternSuffix}`,
+      applySequencePattern(arpeggio, patternName),
+      mode,
+      { window: { minFret: position.minFret, maxFret: position.maxFret } }
     );
   });
 }
 
+function populateStartStringSelect(select) {
+  const prev = select.value;
+  select.innerHTML = "";
+  for (let s = stringCount; s >= 1; s--) {
+    const opt = document.createElement("option");
+    opt.value = String(s);
+    opt.textContent = `${s} (${spellMidi(stringOpenMidi[s]).name})`;
+    select.appendChild(opt);
+  }
+  const prevString = Number(prev);
+  select.value = prevString >= 1 && prevString <= stringCount ? prev : String(stringCount);
+}
+
+// Click sound, count-in and click volume for section playback
+function setupMetronomeControls() {
+  const clickSelect = document.getElementById("clickSelect");
+  const countInSelect = document.getElementById("countInSelect");
+  const clickVolumeInput = document.getElementById("clickVolumeInput");
+  if (!clickSelect || !countInSelect || !clickVolumeInput) return;
+
+  const apply = () => AudioEngine.setMetronome({
+    sound: clickSelect.value,
+    countInBars: parseInt(countInSelect.value, 10) || 0,
+    volume: Number(clickVolumeInput.value) / 100
+  });
+  apply();
+  [clickSelect, countInSelect].forEach(el => el.addEventListener("change", apply));
+  clickVolumeInput.addEventListener("input", apply);
+}
+
+// Backing mode and mix level; the chords follow the key and scale on each render
+function setupBackingControls() {
+  const backingSelect = document.getElementById("backingSelect");
+  const backingVolumeInput = document.getElementById("backingVolumeInput");
+  if (!backingSelect || !backingVolumeInput) return;
+
+  backingSelect.addEventListener("change", updateBacking);
+  backingVolumeInput.addEventListener("input", updateBacking);
+}
+
+// Timbre, string gauge and brightness of the plucked-string synth; saved by GuitarSynth
+function setupToneControls() {
+  const timbreSelect = document.getElementById("timbreSelect");
+  const gaugeSelect = document.getElementById("gaugeSelect");
+  const brightnessInput = document.getElementById("brightnessInput");
+  if (!timbreSelect || !gaugeSelect || !brightnessInput) return;
+
+  [[timbreSelect, GuitarSynth.TIMBRES], [gaugeSelect, GuitarSynth.GAUGES]].forEach(([select, options]) => {
+    Object.entries(options).forEach(([value, def]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = def.label;
+      select.appendChild(opt);
+    });
+  });
+
+  const showTone = () => {
+    const tone = GuitarSynth.getTone();
+    timbreSelect.value = tone.timbre;
+    gaugeSelect.value = tone.gauge;
+    brightnessInput.value = String(Math.round(tone.brightness * 100));
+  };
+  showTone();
+
+  timbreSelect.addEventListener("change", () => {
+    GuitarSynth.setTone({ timbre: timbreSelect.value });
+    showTone();
+  });
+  gaugeSelect.addEventListener("change", () => GuitarSynth.setTone({ gauge: gaugeSelect.value }));
+  brightnessInput.addEventListener("change", () => GuitarSynth.setTone({ brightness: Number(brightnessInput.value) / 100 }));
+}
+
+// The ramp's tempo fields only apply with the ramp on
+function setupPracticeControls() {
+  const rampToggle = document.getElementById("rampToggle");
+  if (!rampToggle) return;
+  const fields = ["rampStartBpm", "rampTargetBpm", "rampIncrement", "rampLoops"]
+    .map(id => document.getElementById(id))
+    .filter(Boolean);
+
+  const sync = () => fields.forEach(el => { el.disabled = !rampToggle.checked; });
+  sync();
+  rampToggle.addEventListener("change", sync);
+}
+
+// Speed trainer settings from the Practice controls; ramp is null when off
+function readPracticeOptions() {
+  const directionSelect = document.getElementById("directionSelect");
+  const restBarToggle = document.getElementById("restBarToggle");
+  const rampToggle = document.getElementById("rampToggle");
+  const readNumber = (id, fallback) => {
+    const el = document.getElementById(id);
+    const value = parseInt(el ? el.value : "", 10);
+    return Number.isFinite(value) ? value : fallback;
+  };
+
+  return {
+    direction: directionSelect ? directionSelect.value : "both",
+    restBar: !!(restBarToggle && restBarToggle.checked),
+    ramp: rampToggle && rampToggle.checked ? {
+      startBpm: readNumber("rampStartBpm", 60),
+      targetBpm: readNumber("rampTargetBpm", 120),
+      increment: readNumber("rampIncrement", 4),
+      loopsPerStep: readNumber("rampLoops", 2)
+    } : null
+  };
+}
+
+function readDiagonalOptions() {
+  const octavesSelect = document.getElementById("runOctavesSelect");
+  const startStringSelect = document.getElementById("runStartString");
+  const startFretInput = document.getElementById("runStartFret");
+  const npsSelect = document.getElementById("runNpsSelect");
+
+  if (startStringSelect) populateStartStringSelect(startStringSelect);
+
+  const startFret = parseInt(startFretInput ? startFretInput.value : "", 10);
+  return {
+    octaves: octavesSelect ? parseInt(octavesSelect.value, 10) : 2,
+    startString: startStringSelect ? parseInt(startStringSelect.value, 10) : stringCount,
+    startFret: Number.isFinite(startFret) ? Math.max(0, Math.min(startFret, 24)) : 0,
+    notesPerString: npsSelect ? parseInt(npsSelect.value, 10) : 3
+  };
+}
+
+function setupCustomScaleEditor(scaleSelect) {
+  const toggleBtn = document.getElementById("customScaleBtn");
+  const editor = document.getElementById("customScaleEditor");
+  const nameInput = document.getElementById("customScaleName");
+  const intervalsInput = document.getElementById("customScaleIntervals");
+  const saveBtn = document.getElementById("customScaleSave");
+  const deleteBtn = document.getElementById("customScaleDelete");
+  const help = document.getElementById("customScaleHelp");
+  if (!scaleSelect || !toggleBtn || !editor || !nameInput || !intervalsInput) return;
+
+  function showMessage(text) {
+    if (help) help.textContent = text;
+  }
+
+  // Opening the editor on a custom scale loads it for editing
+  toggleBtn.addEventListener("click", () => {
+    editor.hidden = !editor.hidden;
+    const custom = customScales[scaleSelect.value];
+    if (!editor.hidden && custom) {
+      nameInput.value = scaleSelect.value;
+      intervalsInput.value = (custom.degrees || custom.intervals).join(" ");
+    }
+    showMessage("");
+  });
+
+  if (saveBtn) {
+    saveBtn.addEventListener("click", () => {
+      const name = nameInput.value.trim();
+      if (!name) return showMessage("Give the scale a name.");
+      if (SCALE_DEFINITIONS[name]) return showMessage(`"${name}" is a built-in scale. Choose another name.`);
+
+      const parsed = parseScaleIntervals(intervalsInput.value);
+      if (parsed.error) return showMessage(parsed.error);
+
+      customScales[name] = parsed;
+      const saved = saveCustomScales();
+      populateCustomScaleOptions(scaleSelect);
+      scaleSelect.value = name;
+      showMessage(saved
+        ? `Saved "${name}".`
+        : `"${name}" could not be saved in this browser; it is available until the page is closed.`);
+      renderApp();
+    });
+  }
+
+  if (deleteBtn) {
+    deleteBtn.addEventListener("click", () => {
+      const name = nameInput.value.trim() || scaleSelect.value;
+      if (!customScales[name]) return showMessage("Only saved custom scales can be deleted.");
+
+      delete customScales[name];
+      const saved = saveCustomScales();
+      populateCustomScaleOptions(scaleSelect);
+      if (scaleSelect.value === name || !scaleSelect.value) scaleSelect.value = "Minor Pentatonic";
+      nameInput.value = "";
+      intervalsInput.value = "";
+      showMessage(saved
+        ? `Deleted "${name}".`
+        : `Deleted "${name}" for now, but this browser could not save the change; it may return on reload.`);
+      renderApp();
+    });
+  }
+}
+
 // ---------------------------
 // Boot
 // ---------------------------
@@ -794,9 +3459,14 @@ function renderApp() {
 window.addEventListener("DOMContentLoaded", () => {
   const keySelect = document.getElementById("keySelect");
   const scaleSelect = document.getElementById("scaleSelect");
+  const instrumentSelect = document.getElementById("instrumentSelect");
+  const tuningSelect = document.getElementById("tuningSelect");
+  const customTuningInput = document.getElementById("customTuningInput");
+  const systemSelect = document.getElementById("systemSelect");
   const modeSwitch = document.getElementById("modeSwitch");
   const rootToggle = document.getElementById("rootToggle");
-  const noteNameToggle = document.getElementById("noteNameToggle");
+  const labelModeSelect = document.getElementById("labelModeSelect");
+  const fingeringToggle = document.getElementById("fingeringToggle");
   const printBtn = document.getElementById("printBtn");
   const SCROLL_Y = 40;
   const LOGO_SHRINK_DISTANCE = 240;
@@ -806,15 +3476,51 @@ window.addEventListener("DOMContentLoaded", () => {
 
   const rerender = debounce(() => renderApp(), 200);
 
+  loadCustomScales();
+  if (scaleSelect) populateCustomScaleOptions(scaleSelect);
+  setupCustomScaleEditor(scaleSelect);
+  setupToneControls();
+  setupMetronomeControls();
+  setupPracticeControls();
+  setupBackingControls();
+
   renderApp();
 
   if (keySelect) keySelect.addEventListener("change", renderApp);
   if (scaleSelect) scaleSelect.addEventListener("change", renderApp);
+  if (instrumentSelect) {
+    instrumentSelect.addEventListener("change", () => {
+      const instrument = INSTRUMENTS[instrumentSelect.value];
+      if (tuningSelect && instrument) populateTuningSelect(tuningSelect, instrument);
+      renderApp();
+    });
+  }
+  if (tuningSelect) tuningSelect.addEventListener("change", renderApp);
+  if (systemSelect) systemSelect.addEventListener("change", renderApp);
+  const harmonyPanel = document.getElementById("harmonyPanel");
+  if (harmonyPanel) {
+    harmonyPanel.addEventListener("toggle", () => {
+      if (harmonyPanel.open) renderHarmonyPanel(keySelect.value, scaleSelect.value);
+    });
+  }
+
+  ["patternSelect", "pickingSelect", "viewSelect", "arpPositionSelect", "compareSelect", "subdivisionSelect"].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", renderApp);
+  });
+  ["runOctavesSelect", "runStartString", "runNpsSelect"].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", renderApp);
+  });
+  const runStartFret = document.getElementById("runStartFret");
+  if (runStartFret) runStartFret.addEventListener("input", debounce(renderApp, 250));
+  if (customTuningInput) customTuningInput.addEventListener("input", rerender);
   if (modeSwitch) {
     const buttons = modeSwitch.querySelectorAll('.mode-btn');
     buttons.forEach(btn => {
       btn.addEventListener('click', () => {
-        const m = btn.getAttribute('data-mode') === 'standard' ? 'standard' : 'tab';
+        const requested = btn.getAttribute('data-mode');
+        const m = requested === 'standard' || requested === 'combined' ? requested : 'tab';
         currentMode = m;
         modeSwitch.setAttribute('data-mode', m);
         renderApp();
@@ -822,7 +3528,13 @@ window.addEventListener("DOMContentLoaded", () => {
     });
   }
   if (rootToggle) rootToggle.addEventListener("change", renderApp);
-  if (noteNameToggle) noteNameToggle.addEventListener("change", renderApp);
+  if (labelModeSelect) labelModeSelect.addEventListener("change", renderApp);
+  if (fingeringToggle) fingeringToggle.addEventListener("change", renderApp);
+  const followToggle = document.getElementById("followToggle");
+  if (followToggle) {
+    followPlayback = followToggle.checked;
+    followToggle.addEventListener("change", () => { followPlayback = followToggle.checked; });
+  }
   if (printBtn) printBtn.addEventListener("click", () => window.print());
 
   function applyLogoScale() {
@@ -839,4 +3551,14 @@ window.addEventListener("DOMContentLoaded", () => {
   applyLogoScale();
   window.addEventListener("scroll", applyLogoScale, { passive: true });
   window.addEventListener("resize", rerender, { passive: true });
+
+  // Re-wrap systems for the page width, then back for the screen
+  window.addEventListener("beforeprint", () => {
+    printRenderWidth = PRINT_RENDER_WIDTH;
+    renderApp();
+  });
+  window.addEventListener("afterprint", () => {
+    printRenderWidth = null;
+    renderApp();
+  });
 });